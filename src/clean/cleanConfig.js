@@ -0,0 +1,62 @@
+/**
+ * Clean Mode Configuration
+ * Opt-in snapshot retention rules from environment variables
+ */
+
+const { parseSize, formatBytes } = require('../utils/helpers');
+
+class CleanConfig {
+  constructor(env = process.env) {
+    this.outputDir = env.OUTPUT_DIR || '/output';
+
+    // Keep rules (0 = rule off): a snapshot survives if any rule keeps it
+    this.keepLast = parseInt(env.RETENTION_KEEP_LAST || '0', 10);
+    this.keepDaily = parseInt(env.RETENTION_KEEP_DAILY || '0', 10);
+    this.keepWeekly = parseInt(env.RETENTION_KEEP_WEEKLY || '0', 10);
+    this.keepMonthly = parseInt(env.RETENTION_KEEP_MONTHLY || '0', 10);
+    // Hard cap on all snapshots together; the oldest go first (0 = no cap)
+    this.maxTotalSize = env.RETENTION_MAX_SIZE ? parseSize(env.RETENTION_MAX_SIZE) : 0;
+    // List what would be deleted without deleting anything
+    this.dryRun = env.RETENTION_DRY_RUN === 'true';
+
+    this.validate();
+  }
+
+  validate() {
+    const counts = {
+      RETENTION_KEEP_LAST: this.keepLast,
+      RETENTION_KEEP_DAILY: this.keepDaily,
+      RETENTION_KEEP_WEEKLY: this.keepWeekly,
+      RETENTION_KEEP_MONTHLY: this.keepMonthly,
+    };
+    for (const [name, value] of Object.entries(counts)) {
+      if (!(value >= 0)) throw new Error(`${name} must be >= 0`);
+    }
+    if (!(this.maxTotalSize >= 0)) {
+      throw new Error('RETENTION_MAX_SIZE must be a size such as 500MB or 10G');
+    }
+  }
+
+  hasKeepRules() {
+    return this.keepLast > 0 || this.keepDaily > 0 || this.keepWeekly > 0 || this.keepMonthly > 0;
+  }
+
+  // Snapshots are only ever deleted when at least one retention rule is set
+  hasRetentionPolicy() {
+    return this.hasKeepRules() || this.maxTotalSize > 0;
+  }
+
+  toString() {
+    return `CleanConfig {
+  outputDir: ${this.outputDir}
+  keepLast: ${this.keepLast || 'off'}
+  keepDaily: ${this.keepDaily || 'off'}
+  keepWeekly: ${this.keepWeekly || 'off'}
+  keepMonthly: ${this.keepMonthly || 'off'}
+  maxTotalSize: ${this.maxTotalSize ? formatBytes(this.maxTotalSize) : 'off'}
+  dryRun: ${this.dryRun}
+}`;
+  }
+}
+
+module.exports = CleanConfig;
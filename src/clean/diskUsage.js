@@ -0,0 +1,74 @@
+/**
+ * Disk Usage
+ * Apparent vs real usage of all snapshots and the content store. Snapshots
+ * share files through hardlinks, so their apparent sizes add up to far more
+ * than the disk space they occupy.
+ */
+
+const path = require('path');
+const FileManager = require('../crawler/fileManager');
+const ContentStore = require('../crawler/contentStore');
+
+class DiskUsage {
+  constructor(inodes, snapshots) {
+    // "dev:ino" -> { size, owners: Set<snapshot name | ContentStore.DIRNAME> }
+    this.inodes = inodes;
+    // Snapshot name -> { apparent, exclusive }
+    this.snapshots = snapshots;
+  }
+
+  /**
+   * Walk every snapshot and the content store of outputDir.
+   * @param {string} outputDir
+   * @param {object[]} snapshots listSnapshots() entries
+   */
+  static measure(outputDir, snapshots) {
+    const inodes = new Map();
+    const apparent = new Map();
+    snapshots.forEach((snapshot) => {
+      apparent.set(snapshot.name, FileManager.getDirectoryUsage(snapshot.path, inodes, snapshot.name).apparent);
+    });
+    FileManager.getDirectoryUsage(path.join(outputDir, ContentStore.DIRNAME), inodes, ContentStore.DIRNAME);
+
+    const exclusive = new Map(snapshots.map((snapshot) => [snapshot.name, 0]));
+    inodes.forEach(({ size, owners }) => {
+      const snapshotOwners = [...owners].filter((owner) => owner !== ContentStore.DIRNAME);
+      if (snapshotOwners.length === 1) exclusive.set(snapshotOwners[0], exclusive.get(snapshotOwners[0]) + size);
+    });
+
+    return new DiskUsage(inodes, new Map(snapshots.map((snapshot) => [snapshot.name, {
+      apparent: apparent.get(snapshot.name),
+      exclusive: exclusive.get(snapshot.name),
+    }])));
+  }
+
+  // Sum of every snapshot's apparent size
+  getApparent() {
+    return Array.from(this.snapshots.values()).reduce((sum, usage) => sum + usage.apparent, 0);
+  }
+
+  // Disk space actually used by the snapshots and the store
+  getReal() {
+    return Array.from(this.inodes.values()).reduce((sum, inode) => sum + inode.size, 0);
+  }
+
+  /**
+   * Real usage if only the named snapshots were kept and the store garbage-collected.
+   * @param {Iterable<string>} names
+   */
+  getRealFor(names) {
+    const kept = new Set(names);
+    let size = 0;
+    this.inodes.forEach((inode) => {
+      for (const owner of inode.owners) {
+        if (kept.has(owner)) {
+          size += inode.size;
+          break;
+        }
+      }
+    });
+    return size;
+  }
+}
+
+module.exports = DiskUsage;
@@ -0,0 +1,113 @@
+/**
+ * Retention Policy
+ * Decides which snapshots clean mode keeps: keep-last/daily/weekly/monthly
+ * rules first, then the total size cap (in real disk usage when measured
+ * with DiskUsage). The snapshot 'latest' points to and resumable (unfinished)
+ * crawls are never deleted.
+ */
+
+class RetentionPolicy {
+  /**
+   * @param {CleanConfig} config
+   */
+  constructor(config) {
+    this.config = config;
+  }
+
+  /**
+   * Local time encoded in a snapshot name (YYYY-MM-DD_HH-MM-SS, see FileManager.getTimestamp)
+   */
+  static getSnapshotDate(name) {
+    const [date, time] = name.split('_');
+    const [year, month, day] = date.split('-').map(Number);
+    const [hour, minute, second] = time.split('-').map(Number);
+    return new Date(year, month - 1, day, hour, minute, second);
+  }
+
+  // Bucket a snapshot falls into for the daily/weekly/monthly rules
+  static getPeriodKey(date, period) {
+    const pad = (value) => String(value).padStart(2, '0');
+    if (period === 'daily') return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    if (period === 'monthly') return `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+
+    // ISO 8601 week: weeks start on Monday and belong to the year of their Thursday
+    const thursday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7) + 3);
+    const january4 = new Date(thursday.getFullYear(), 0, 4);
+    const firstThursday = new Date(thursday.getFullYear(), 0, 4 - ((january4.getDay() + 6) % 7) + 3);
+    const week = 1 + Math.round((thursday - firstThursday) / (7 * 86400000));
+    return `${thursday.getFullYear()}-W${pad(week)}`;
+  }
+
+  /**
+   * @param {object[]} snapshots listSnapshots() entries ({ name, path, size })
+   * @param {object} [options]
+   * @param {Map<string, string>} [options.protectedSnapshots] Names never deleted -> why
+   * @param {Set<string>} [options.unfinishedSnapshots] Names of resumable crawls: kept, but
+   *   they take no keep-last/daily/weekly/monthly slot from a finished snapshot
+   * @param {Function} [options.measure] Kept snapshot names -> bytes they occupy
+   *   (default: the sum of their sizes; DiskUsage.getRealFor counts shared files once)
+   * @returns {object[]} Newest first: [{ snapshot, keep, reasons: string[] }]
+   */
+  plan(snapshots, { protectedSnapshots = new Map(), unfinishedSnapshots = new Set(), measure = null } = {}) {
+    const sizes = new Map(snapshots.map((snapshot) => [snapshot.name, snapshot.size]));
+    const measureSize = measure || ((names) => names.reduce((sum, name) => sum + sizes.get(name), 0));
+    const newestFirst = [...snapshots].sort((a, b) => b.name.localeCompare(a.name));
+    const decisions = newestFirst.map((snapshot) => ({
+      snapshot,
+      keep: !this.config.hasKeepRules(),
+      reasons: [],
+    }));
+
+    if (this.config.hasKeepRules()) {
+      const finished = decisions.filter((decision) => !unfinishedSnapshots.has(decision.snapshot.name));
+      finished.slice(0, this.config.keepLast).forEach((decision) => {
+        decision.keep = true;
+        decision.reasons.push('last');
+      });
+
+      const periods = { daily: this.config.keepDaily, weekly: this.config.keepWeekly, monthly: this.config.keepMonthly };
+      for (const [period, count] of Object.entries(periods)) {
+        // The newest snapshot of each of the `count` most recent periods
+        const seen = new Set();
+        for (const decision of finished) {
+          if (seen.size >= count) break;
+          const key = RetentionPolicy.getPeriodKey(RetentionPolicy.getSnapshotDate(decision.snapshot.name), period);
+          if (seen.has(key)) continue;
+          seen.add(key);
+          decision.keep = true;
+          decision.reasons.push(`${period} ${key}`);
+        }
+      }
+    }
+
+    decisions.forEach((decision) => {
+      const reason = protectedSnapshots.get(decision.snapshot.name);
+      if (reason) {
+        decision.keep = true;
+        decision.protected = true;
+        decision.reasons.unshift(reason);
+      }
+    });
+
+    if (this.config.maxTotalSize > 0) {
+      const keptNames = () => decisions.filter((decision) => decision.keep).map((decision) => decision.snapshot.name);
+      let total = measureSize(keptNames());
+      // Oldest kept snapshots go first until everything fits
+      for (const decision of [...decisions].reverse()) {
+        if (total <= this.config.maxTotalSize) break;
+        if (!decision.keep || decision.protected) continue;
+        decision.keep = false;
+        decision.reasons = ['over RETENTION_MAX_SIZE'];
+        total = measureSize(keptNames());
+      }
+    }
+
+    decisions.forEach((decision) => {
+      if (decision.reasons.length > 0) return;
+      decision.reasons.push(decision.keep ? 'within RETENTION_MAX_SIZE' : 'not kept by any rule');
+    });
+    return decisions;
+  }
+}
+
+module.exports = RetentionPolicy;
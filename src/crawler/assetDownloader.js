@@ -0,0 +1,219 @@
+/**
+ * Asset Downloader
+ * Downloads assets while the crawl is still running and saves them into the snapshot
+ */
+
+const path = require('path');
+const { URL } = require('url');
+const { createHttpClient } = require('./httpClient');
+const WorkQueue = require('./workQueue');
+const HtmlUtils = require('../processor/htmlUtils');
+const CssUtils = require('../processor/cssUtils');
+const { parseContentDisposition } = require('../utils/helpers');
+
+class AssetDownloader {
+  /**
+   * @param {Crawler} crawler         Supplies config, the shared rate limiter and URL resolution
+   * @param {PostProcessor} processor Rewrites url(...) references in downloaded CSS
+   * @param {FileManager} fileManager
+   * @param {object} [options]
+   * @param {CrawlJournal} [options.journal]
+   * @param {Map<string, object>} [options.savedAssets] Manifest entries of assets already saved
+   *   by an earlier (resumed) run, keyed by URL
+   * @param {PreviousSnapshot} [options.previous] Earlier snapshot to send conditional requests against
+   */
+  constructor(crawler, processor, fileManager, options = {}) {
+    this.crawler = crawler;
+    this.config = crawler.config;
+    this.processor = processor;
+    this.fileManager = fileManager;
+    this.journal = options.journal || null;
+    this.previous = options.previous || null;
+
+    const savedAssets = options.savedAssets || new Map();
+    this.seenAssets = new Set(savedAssets.keys());
+    this.downloadedCount = savedAssets.size;
+    this.reusedCount = 0;
+    // url -> { status, contentType, bytes, fetchTime, error } for the crawl report
+    this.results = new Map();
+    savedAssets.forEach((entry, url) => {
+      this.fileManager.recordManifestEntry(url, entry);
+      this.results.set(url, { status: 200, contentType: entry.contentType || null, bytes: entry.size || null, fetchTime: null });
+    });
+    this.queue = new WorkQueue();
+
+    this.httpClient = createHttpClient(this.config, {
+      responseType: 'arraybuffer',
+      validateStatus: () => true,
+    });
+    // Private files need the crawl's session
+    crawler.cookieJar.attach(this.httpClient);
+  }
+
+  /**
+   * Queue asset URLs for download; URLs seen before are ignored.
+   * Returns the URLs that were actually new.
+   */
+  enqueue(urls) {
+    const added = urls.filter((url) => !this.seenAssets.has(url));
+    added.forEach((url) => {
+      this.seenAssets.add(url);
+      if (this.crawler.checkRobots(url)) this.queue.push(url);
+    });
+    return added;
+  }
+
+  /**
+   * Start the download workers. The returned promise settles after finish()
+   * has been called and the queue is drained.
+   */
+  run() {
+    return this.queue.run(this.config.concurrency, (url) => this.download(url), { autoClose: false });
+  }
+
+  // No more assets will be discovered by the page crawl
+  finish() {
+    this.queue.close();
+  }
+
+  async download(assetUrl) {
+    try {
+      // A reused stylesheet needs the references recorded when it was saved (older manifests lack them)
+      const cached = this.previous && this.previous.get(assetUrl);
+      const previousEntry = cached && (!CssUtils.isStylesheet(assetUrl, cached.contentType) || Array.isArray(cached.assets))
+        ? cached
+        : null;
+      const conditionalHeaders = previousEntry ? this.previous.getConditionalHeaders(assetUrl) : {};
+      const response = await this.get(assetUrl, conditionalHeaders);
+      this.recordResult(assetUrl, response);
+
+      if (response.status === 304 && previousEntry) {
+        this.reuse(assetUrl, previousEntry, response);
+      } else if (response.status === 200) {
+        this.save(assetUrl, assetUrl, response);
+      } else if (response.status === 404) {
+        // Some Drupal sites have broken links pointing to /sites/example.com/files/
+        // while the file actually lives under /sites/default/files/. Try the fallback.
+        const fallbackUrl = assetUrl.replace(/\/sites\/(?!default\/)[^/]+\/files\//, '/sites/default/files/');
+        if (fallbackUrl !== assetUrl) {
+          console.warn(`Asset 404, retrying with default files path: ${assetUrl}`);
+          const fallback = await this.get(fallbackUrl);
+          this.recordResult(assetUrl, fallback, `HTTP 404; fallback ${fallbackUrl}`);
+          if (fallback.status === 200) {
+            // Both paths rewrite to the same /files/... destination, so the HTML
+            // reference (rewritten from the original URL) will resolve correctly.
+            this.save(assetUrl, fallbackUrl, fallback);
+            console.log(`  Fallback succeeded for: ${fallbackUrl}`);
+          } else {
+            console.warn(`  Fallback also failed (${fallback.status}): ${fallbackUrl}`);
+          }
+        }
+      }
+    } catch (error) {
+      console.warn(`Failed to download asset ${assetUrl}: ${error.message}`);
+      this.results.set(assetUrl, { status: 0, contentType: null, bytes: 0, fetchTime: null, error: error.message });
+    }
+  }
+
+  async get(url, extraHeaders = {}) {
+    await this.crawler.rateLimiter.acquire(url);
+    const started = Date.now();
+    const response = await this.httpClient.get(url, {
+      headers: { 'User-Agent': this.config.getRandomUserAgent(), ...extraHeaders },
+    });
+    response.fetchTime = Date.now() - started;
+    return response;
+  }
+
+  /**
+   * Remember how an asset request went, for the crawl report. A multisite
+   * fallback replaces the original 404 result and notes it in `error` only if
+   * it failed too.
+   */
+  recordResult(assetUrl, response, note = null) {
+    const ok = response.status === 200 || response.status === 304;
+    this.results.set(assetUrl, {
+      status: response.status,
+      contentType: response.headers['content-type'] || null,
+      bytes: response.data ? response.data.byteLength : 0,
+      fetchTime: response.fetchTime,
+      error: ok ? null : (note || `HTTP ${response.status}`),
+    });
+  }
+
+  /**
+   * 304 Not Modified: link the previous snapshot's copy into this snapshot.
+   * A reused stylesheet's assets are the origin URLs recorded when it was saved.
+   */
+  reuse(assetUrl, entry, response) {
+    this.fileManager.linkFromSnapshot(this.previous.snapshotDir, entry.filePath);
+    if (entry.assets) this.enqueueCssAssets(entry.assets, assetUrl);
+
+    this.recordSaved(assetUrl, {
+      type: 'asset',
+      filePath: entry.filePath,
+      contentType: entry.contentType || null,
+      contentDisposition: entry.contentDisposition || null,
+      filename: entry.filename || null,
+      size: this.previous.getFileSize(entry),
+      etag: response.headers['etag'] || entry.etag || null,
+      lastModified: response.headers['last-modified'] || entry.lastModified || null,
+      assets: entry.assets,
+    });
+    this.reusedCount++;
+  }
+
+  enqueueCssAssets(urls, cssUrl) {
+    const added = this.enqueue(urls);
+    added.forEach((url) => this.crawler.noteReferrer(url, cssUrl));
+    if (added.length > 0 && this.journal) {
+      this.journal.record('assets', { urls: added, referrer: cssUrl });
+    }
+  }
+
+  recordSaved(assetUrl, entry) {
+    this.fileManager.recordManifestEntry(assetUrl, entry);
+    if (this.journal) this.journal.record('asset-saved', { url: assetUrl, ...entry });
+    this.downloadedCount++;
+  }
+
+  /**
+   * Save a downloaded asset at the path matching the post-processed HTML references:
+   * apply the same Drupal path rewrite so the file lands where the HTML points.
+   * fetchedUrl differs from assetUrl when the multisite fallback was used.
+   */
+  save(assetUrl, fetchedUrl, response) {
+    let buffer = Buffer.from(response.data);
+
+    // Stylesheets can reference further assets (fonts, backgrounds, @imports)
+    let cssAssets;
+    if (CssUtils.isStylesheet(fetchedUrl, response.headers['content-type'])) {
+      const css = buffer.toString('utf-8');
+      cssAssets = this.crawler.extractCssUrls(css, fetchedUrl);
+      this.enqueueCssAssets(cssAssets, assetUrl);
+      buffer = Buffer.from(this.processor.rewriteCss(css, fetchedUrl), 'utf-8');
+    }
+
+    const urlPath = new URL(assetUrl).pathname;
+    const rewrittenPath = HtmlUtils.rewriteDrupalPaths(urlPath);
+    this.fileManager.saveAssetAtPath(rewrittenPath, buffer);
+
+    // The real headers, so host config can serve e.g. an extension-less
+    // download_all_files/<nid>/field_attachment as the PDF it is
+    const disposition = parseContentDisposition(response.headers['content-disposition']);
+    this.recordSaved(assetUrl, {
+      type: 'asset',
+      filePath: path.normalize(rewrittenPath.replace(/^\//, '')),
+      contentType: response.headers['content-type'] || null,
+      contentDisposition: disposition ? disposition.type : null,
+      filename: disposition ? disposition.filename : null,
+      size: buffer.length,
+      etag: response.headers['etag'] || null,
+      lastModified: response.headers['last-modified'] || null,
+      // Stylesheets only: replayed when it comes back 304 in an incremental crawl
+      assets: cssAssets,
+    });
+  }
+}
+
+module.exports = AssetDownloader;
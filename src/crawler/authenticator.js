@@ -0,0 +1,209 @@
+/**
+ * Authenticator
+ * Optional login for crawling member-only content: Drupal's /user/login form,
+ * an existing session cookie (AUTH_COOKIE) and/or HTTP Basic credentials
+ */
+
+const cheerio = require('cheerio');
+const { URL } = require('url');
+
+// Drupal 8+ and Drupal 7 login form ids
+const LOGIN_FORM_SELECTORS = [
+  'form#user-login-form',
+  'form[data-drupal-selector="user-login-form"]',
+  'form#user-login',
+];
+
+// Drupal session cookies: SESS<hash> over http, SSESS<hash> over https
+const SESSION_COOKIE = /^S?SESS/;
+
+// Language prefixes such as /en/ or /pt-br/ in front of Drupal paths
+const SESSION_PATH = /^\/(?:[a-z]{2}(?:-[a-z]{2,4})?\/)?(?:user|admin)(?:\/|$)/;
+
+class Authenticator {
+  /**
+   * @param {CrawlerConfig} config
+   * @param {object} httpClient axios instance with the cookie jar attached,
+   *   not following redirects (the login response must be seen as is)
+   * @param {CookieJar} cookieJar
+   * @param {object} [options]
+   * @param {RateLimiter} [options.rateLimiter]
+   */
+  constructor(config, httpClient, cookieJar, options = {}) {
+    this.config = config;
+    this.httpClient = httpClient;
+    this.cookieJar = cookieJar;
+    this.rateLimiter = options.rateLimiter || null;
+  }
+
+  get enabled() {
+    return this.config.hasAuth();
+  }
+
+  /**
+   * Paths an authenticated crawl must never request: logout (which would end
+   * the session), the rest of /user and everything under /admin.
+   */
+  static isSessionPath(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return false;
+    }
+
+    // Drupal 7 clean-URL-less paths: ?q=user/logout
+    const query = parsed.searchParams.get('q');
+    const paths = [parsed.pathname, query ? `/${query.replace(/^\//, '')}` : null].filter(Boolean);
+    return paths.some((pathname) => {
+      const lower = pathname.toLowerCase();
+      return SESSION_PATH.test(lower) || lower.split('/').includes('logout');
+    });
+  }
+
+  /**
+   * Parse AUTH_COOKIE ("name=value; name2=value2") into [[name, value]];
+   * malformed entries are null.
+   */
+  static parseCookieList(value) {
+    return String(value || '').split(';')
+      .map((pair) => pair.trim())
+      .filter(Boolean)
+      .map((pair) => {
+        const separator = pair.indexOf('=');
+        return separator > 0 ? [pair.slice(0, separator).trim(), pair.slice(separator + 1).trim()] : null;
+      });
+  }
+
+  /**
+   * Establish the session before the crawl starts. Throws if the login fails,
+   * since crawling anonymously would silently produce the public site.
+   */
+  async login() {
+    const siteUrl = this.config.getSiteUrl() + '/';
+
+    if (this.config.basicAuthUser) {
+      console.log(`HTTP Basic authentication as ${this.config.basicAuthUser}`);
+    }
+
+    if (this.config.authCookie) {
+      Authenticator.parseCookieList(this.config.authCookie)
+        .filter(Boolean)
+        .forEach(([name, value]) => this.cookieJar.set(name, value, siteUrl));
+      console.log(`Using session cookie(s) from AUTH_COOKIE: ${this.getCookieNames(siteUrl).join(', ')}`);
+    }
+
+    if (this.config.authUsername) {
+      await this.submitLoginForm();
+    }
+  }
+
+  getCookieNames(url) {
+    return this.cookieJar.getCookies(url).map((cookie) => cookie.name);
+  }
+
+  hasSessionCookie() {
+    return this.getCookieNames(this.config.getSiteUrl() + '/').some((name) => SESSION_COOKIE.test(name));
+  }
+
+  /**
+   * Fetch the login form, fill in AUTH_USERNAME / AUTH_PASSWORD and submit it
+   * with its hidden fields (form_build_id, form_id, form_token). Drupal answers
+   * a successful login with a redirect and a session cookie, a failed one by
+   * rendering the form again with an error message.
+   */
+  async submitLoginForm() {
+    const loginUrl = new URL(this.config.authLoginPath, this.config.getSiteUrl() + '/').href;
+    console.log(`Logging in as ${this.config.authUsername} via ${loginUrl}`);
+
+    const page = await this.request({ method: 'get', url: loginUrl });
+    if (page.status !== 200 || typeof page.data !== 'string') {
+      throw new Error(`Login page ${loginUrl} answered HTTP ${page.status}`);
+    }
+
+    const $ = cheerio.load(page.data);
+    const form = Authenticator.findLoginForm($);
+    if (!form) {
+      throw new Error(`No login form found at ${loginUrl} (already logged in, or not a Drupal login page?)`);
+    }
+
+    const fields = Authenticator.getFormFields($, form);
+    fields.set('name', this.config.authUsername);
+    fields.set('pass', this.config.authPassword);
+
+    const actionUrl = new URL($(form).attr('action') || loginUrl, loginUrl).href;
+    const response = await this.request({
+      method: 'post',
+      url: actionUrl,
+      data: new URLSearchParams(Array.from(fields)).toString(),
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Referer': loginUrl,
+      },
+    });
+
+    const redirected = response.status >= 300 && response.status < 400;
+    if (!redirected || !this.hasSessionCookie()) {
+      const message = typeof response.data === 'string' ? Authenticator.getErrorMessage(response.data) : '';
+      throw new Error(`Login as ${this.config.authUsername} failed (HTTP ${response.status}${message ? `: ${message}` : ''})`);
+    }
+
+    console.log(`Logged in as ${this.config.authUsername} (session cookie ${this.getCookieNames(loginUrl).filter((name) => SESSION_COOKIE.test(name)).join(', ')})`);
+  }
+
+  async request(options) {
+    if (this.rateLimiter) await this.rateLimiter.acquire(options.url);
+    return this.httpClient.request({
+      ...options,
+      headers: { 'User-Agent': this.config.getRandomUserAgent(), ...options.headers },
+    });
+  }
+
+  static findLoginForm($) {
+    for (const selector of LOGIN_FORM_SELECTORS) {
+      const form = $(selector).get(0);
+      if (form) return form;
+    }
+    // Themes that rename the form still post a password field named "pass"
+    const password = $('form input[name="pass"]').get(0);
+    return password ? $(password).closest('form').get(0) : null;
+  }
+
+  /**
+   * Values the browser would submit: inputs (checked boxes only), selects,
+   * textareas and the first submit button (Drupal's "op").
+   */
+  static getFormFields($, form) {
+    const fields = new Map();
+    let submitted = false;
+
+    $(form).find('input[name], select[name], textarea[name], button[name]').each((_, elem) => {
+      const $elem = $(elem);
+      const name = $elem.attr('name');
+      const type = ($elem.attr('type') || '').toLowerCase();
+
+      if (elem.tagName === 'select') {
+        fields.set(name, $elem.find('option[selected]').attr('value') || $elem.find('option').first().attr('value') || '');
+      } else if (elem.tagName === 'textarea') {
+        fields.set(name, $elem.text());
+      } else if (type === 'submit' || elem.tagName === 'button') {
+        if (!submitted) fields.set(name, $elem.attr('value') || '');
+        submitted = true;
+      } else if (type === 'checkbox' || type === 'radio') {
+        if ($elem.is('[checked]')) fields.set(name, $elem.attr('value') || 'on');
+      } else if (type !== 'image' && type !== 'file' && type !== 'reset') {
+        fields.set(name, $elem.attr('value') || '');
+      }
+    });
+
+    return fields;
+  }
+
+  // Drupal status messages of the error kind, as plain text
+  static getErrorMessage(html) {
+    const $ = cheerio.load(html);
+    return $('.messages--error, .messages.error, [role="alert"]').first().text().replace(/\s+/g, ' ').trim();
+  }
+}
+
+module.exports = Authenticator;
@@ -0,0 +1,172 @@
+/**
+ * Browser Renderer
+ * Renders pages in a local headless Chromium (RENDERER=chromium), so content
+ * built client-side ends up in the saved HTML. puppeteer-core is only loaded
+ * when this renderer is used.
+ */
+
+const fs = require('fs');
+const { URL } = require('url');
+
+// Where distribution packages install Chromium, tried when CHROMIUM_PATH is not set
+const CHROMIUM_CANDIDATES = [
+  '/usr/bin/chromium-browser',
+  '/usr/bin/chromium',
+  '/usr/bin/google-chrome-stable',
+  '/usr/bin/google-chrome',
+];
+
+// Responses of these request types are what the page's scripts loaded as data
+const RECORDED_RESOURCE_TYPES = new Set(['xhr', 'fetch']);
+
+class BrowserRenderer {
+  /**
+   * @param {CrawlerConfig} config
+   * @param {object} [options]
+   * @param {CookieJar} [options.cookieJar] Cookies (e.g. the login session) copied into every page
+   * @param {function} [options.isSameDomain] (url) => boolean; only same-site responses are recorded
+   * @param {RateLimiter} [options.rateLimiter] Same-site requests of the browser wait for it too
+   */
+  constructor(config, options = {}) {
+    this.config = config;
+    this.cookieJar = options.cookieJar || null;
+    this.isSameDomain = options.isSameDomain || (() => true);
+    this.rateLimiter = options.rateLimiter || null;
+    this.browser = null;
+    this.renderedCount = 0;
+  }
+
+  static findExecutable(configuredPath) {
+    if (configuredPath) return configuredPath;
+    const found = CHROMIUM_CANDIDATES.find((candidate) => fs.existsSync(candidate));
+    if (!found) {
+      throw new Error('RENDERER=chromium needs a Chromium binary: set CHROMIUM_PATH, or build the image with --build-arg WITH_CHROMIUM=true');
+    }
+    return found;
+  }
+
+  /**
+   * Chromium flags: SITE_HOST (and its www. variant) resolve to SITE_IP, as
+   * the HTTP client's pinned lookup does; TLS_INSECURE accepts self-signed certificates.
+   */
+  static getLaunchArgs(config) {
+    const host = config.siteHostname.replace(/^www\./, '');
+    const args = [
+      `--host-resolver-rules=MAP ${host} ${config.siteIp}, MAP www.${host} ${config.siteIp}`,
+      // Containers run as root without a usable /dev/shm
+      '--no-sandbox',
+      '--disable-dev-shm-usage',
+    ];
+    if (config.tlsInsecure) args.push('--ignore-certificate-errors');
+    return args;
+  }
+
+  async start() {
+    let puppeteer;
+    try {
+      puppeteer = require('puppeteer-core');
+    } catch (error) {
+      throw new Error(`RENDERER=chromium needs the puppeteer-core package (${error.message})`);
+    }
+
+    const executablePath = BrowserRenderer.findExecutable(this.config.chromiumPath);
+    this.browser = await puppeteer.launch({
+      executablePath,
+      headless: true,
+      acceptInsecureCerts: this.config.tlsInsecure,
+      args: BrowserRenderer.getLaunchArgs(this.config),
+    });
+    console.log(`Rendering pages with ${executablePath} (${await this.browser.version()})`);
+  }
+
+  async close() {
+    if (!this.browser) return;
+    await this.browser.close();
+    this.browser = null;
+  }
+
+  /**
+   * Load url, wait for the network to go idle (and RENDER_WAIT_SELECTOR, if
+   * set) and return the rendered DOM with the same-site XHR/fetch GET requests
+   * the page made. With html, the document itself is not requested again:
+   * the browser is handed the response the crawler already fetched.
+   * @returns {Promise<{ html: string, requests: string[], renderTime: number }>}
+   */
+  async render(url, { userAgent, html: serverHtml = null, contentType = 'text/html; charset=utf-8' } = {}) {
+    if (!this.browser) throw new Error('Renderer not started. Call start() first.');
+
+    const started = Date.now();
+    const page = await this.browser.newPage();
+    const requests = new Set();
+    try {
+      if (userAgent) await page.setUserAgent({ userAgent });
+      if (this.config.basicAuthUser) {
+        await page.authenticate({ username: this.config.basicAuthUser, password: this.config.basicAuthPassword });
+      }
+      if (this.cookieJar) {
+        const cookies = this.cookieJar.getCookies(url).map((cookie) => ({
+          name: cookie.name,
+          value: cookie.value,
+          url,
+          path: cookie.path,
+          secure: cookie.secure,
+        }));
+        if (cookies.length > 0) await page.setCookie(...cookies);
+      }
+
+      await page.setRequestInterception(true);
+      const documentUrl = new URL(url).href;
+      let documentServed = false;
+      page.on('request', async (request) => {
+        try {
+          if (serverHtml !== null && !documentServed && request.isNavigationRequest()
+            && request.frame() === page.mainFrame() && request.url() === documentUrl) {
+            documentServed = true;
+            await request.respond({ status: 200, contentType, body: serverHtml });
+            return;
+          }
+          if (this.rateLimiter && this.isSameDomain(request.url())) {
+            await this.rateLimiter.acquire(request.url());
+          }
+          await request.continue();
+        } catch (error) {
+          // The page was closed or the request aborted while it waited
+        }
+      });
+
+      page.on('response', (response) => {
+        const request = response.request();
+        if (!RECORDED_RESOURCE_TYPES.has(request.resourceType()) || request.method() !== 'GET') return;
+        if (response.status() < 200 || response.status() > 299) return;
+        if (this.isSameDomain(response.url())) requests.add(response.url());
+      });
+
+      const timeout = this.config.renderTimeout;
+      const response = await page.goto(url, { waitUntil: this.config.renderWaitUntil, timeout });
+      if (!response) throw new Error('no response');
+      if (this.config.renderWaitSelector) {
+        await page.waitForSelector(this.config.renderWaitSelector, { timeout });
+      }
+
+      const html = await page.content();
+      this.renderedCount++;
+      return { html, requests: Array.from(requests), renderTime: Date.now() - started };
+    } finally {
+      await page.close().catch(() => {});
+    }
+  }
+
+  /**
+   * Split recorded request URLs into what can be saved as static files and
+   * what can't: a file path holds one response, so requests with a query
+   * string (?page=2) would overwrite each other.
+   */
+  static partitionRequests(urls) {
+    const saveable = [];
+    const withQuery = [];
+    urls.forEach((url) => (new URL(url).search ? withQuery : saveable).push(url));
+    return { saveable, withQuery };
+  }
+}
+
+module.exports = BrowserRenderer;
@@ -3,6 +3,10 @@
  * Loads settings from environment variables with sensible defaults
  */
 
+const UrlFilter = require('./urlFilter');
+const Authenticator = require('./authenticator');
+const DrupalViews = require('../processor/drupalViews');
+
 class CrawlerConfig {
   constructor(env = process.env) {
     // Site configuration
@@ -10,13 +14,75 @@ class CrawlerConfig {
     // Hostname only (no port) — used for same-domain checks and Host header
     this.siteHostname = this.siteHost.split(':')[0];
     this.siteProtocol = env.SITE_PROTOCOL || 'https';
+    // Every request to SITE_HOST is dialed at this address (DNS override)
     this.siteIp = env.SITE_IP || '127.0.0.1';
+    // Skip TLS certificate validation (self-signed origin certificates)
+    this.tlsInsecure = env.TLS_INSECURE === 'true';
     this.linkedInProfile = env.LINKEDIN_PROFILE || 'https://linkedin.com';
 
     // Crawling behavior
+    // Minimum milliseconds between two requests to the site, across all workers
     this.crawlDelay = parseInt(env.CRAWL_DELAY || '500', 10);
     this.maxDepth = parseInt(env.MAX_DEPTH || '0', 10);
     this.maxPages = parseInt(env.MAX_PAGES || '10000', 10);
+    // Crawl scope: glob or re:<regex> patterns over path + query, and a Drupal pager limit
+    this.includePatterns = UrlFilter.parseList(env.INCLUDE_PATTERNS);
+    this.excludePatterns = UrlFilter.parseList(env.EXCLUDE_PATTERNS);
+    this.maxPagerPage = parseInt(env.MAX_PAGER_PAGE || '0', 10);
+    // Views exposed filter forms: replaced by crawled option links, removed, or kept as is
+    this.viewsExposedFilters = env.VIEWS_EXPOSED_FILTERS || 'links';
+
+    // Extra query parameters to drop when canonicalizing URLs (tracking parameters are always dropped)
+    this.stripQueryParams = (env.STRIP_QUERY_PARAMS || '').split(/[\s,]+/).filter(Boolean);
+
+    // Crawl seeds: robots.txt Sitemap: lines / sitemap.xml, plus explicit extra start URLs
+    this.useSitemap = (env.USE_SITEMAP || 'true') !== 'false';
+    this.seedUrls = (env.SEED_URLS || '').split(/[\s,]+/).filter(Boolean);
+
+    // robots.txt compliance (opt-in): Allow/Disallow for robotsUserAgent, Crawl-delay raises the crawlDelay floor
+    this.respectRobots = env.RESPECT_ROBOTS === 'true';
+    this.robotsUserAgent = env.ROBOTS_USER_AGENT || 'drupal-to-static-html';
+
+    // Themed error pages saved as 404.html / 403.html: a random missing path is
+    // fetched for the 404 page; the 403 page needs a path known to be forbidden
+    this.captureErrorPages = (env.CAPTURE_ERROR_PAGES || 'true') !== 'false';
+    this.errorPage403Path = env.ERROR_PAGE_403_PATH || '';
+
+    // crawl-report.json is always written; CRAWL_REPORT_JUNIT adds crawl-report.xml for CI dashboards
+    this.crawlReportJunit = env.CRAWL_REPORT_JUNIT === 'true';
+
+    // Parallel workers, used for both page fetches and asset downloads
+    this.concurrency = parseInt(env.CONCURRENCY || '1', 10);
+    // Token bucket shared by all workers: sustained requests/second per host (0 = unlimited)
+    this.rateLimit = parseFloat(env.RATE_LIMIT || '0');
+    this.rateBurst = parseInt(env.RATE_BURST || String(this.concurrency), 10);
+
+    // Conditional re-crawl against the 'latest' snapshot (ETag / Last-Modified)
+    this.incremental = env.INCREMENTAL === 'true';
+    // Assets are hardlinks into <outputDir>/.store, so unchanged files cost no extra disk per snapshot
+    this.contentStore = (env.CONTENT_STORE || 'true') !== 'false';
+
+    // Authentication (optional): Drupal login form, an existing session cookie and/or HTTP Basic
+    this.authUsername = env.AUTH_USERNAME || '';
+    this.authPassword = env.AUTH_PASSWORD || '';
+    this.authLoginPath = env.AUTH_LOGIN_PATH || '/user/login';
+    this.authCookie = env.AUTH_COOKIE || '';
+    this.basicAuthUser = env.BASIC_AUTH_USER || '';
+    this.basicAuthPassword = env.BASIC_AUTH_PASSWORD || '';
+
+    // Page backend: plain HTTP, or a headless Chromium that runs the page's JavaScript first
+    this.renderer = env.RENDERER || 'http';
+    this.chromiumPath = env.CHROMIUM_PATH || '';
+    this.renderWaitUntil = env.RENDER_WAIT_UNTIL || 'networkidle0';
+    this.renderWaitSelector = env.RENDER_WAIT_SELECTOR || '';
+    this.renderTimeout = parseInt(env.RENDER_TIMEOUT || '30000', 10);
+
+    // Send BigPipe's no-JS cookie so Drupal renders placeholders server-side
+    // (BigPipe replacements in the page are resolved either way)
+    this.bigPipeNoJs = env.BIGPIPE_NOJS === 'true';
+
+    // Client-side search: search-index.json plus search forms rewritten to use it
+    this.searchIndex = (env.SEARCH_INDEX || 'true') !== 'false';
 
     // HTTP configuration
     this.connectTimeout = parseInt(env.CONNECT_TIMEOUT || '10000', 10);
@@ -38,6 +104,47 @@ class CrawlerConfig {
     if (!this.siteIp) throw new Error('SITE_IP must be set');
     if (this.crawlDelay < 0) throw new Error('CRAWL_DELAY must be >= 0');
     if (this.maxRetries < 0) throw new Error('MAX_RETRIES must be >= 0');
+    for (const [name, patterns] of [['INCLUDE_PATTERNS', this.includePatterns], ['EXCLUDE_PATTERNS', this.excludePatterns]]) {
+      for (const pattern of patterns) {
+        try {
+          UrlFilter.compile(pattern);
+        } catch (error) {
+          throw new Error(`Invalid pattern in ${name}: ${pattern} (${error.message})`);
+        }
+      }
+    }
+    if (!(this.maxPagerPage >= 0)) throw new Error('MAX_PAGER_PAGE must be >= 0');
+    if (!DrupalViews.EXPOSED_FILTER_MODES.includes(this.viewsExposedFilters)) {
+      throw new Error(`VIEWS_EXPOSED_FILTERS must be one of: ${DrupalViews.EXPOSED_FILTER_MODES.join(', ')}`);
+    }
+    if (!(this.concurrency >= 1)) throw new Error('CONCURRENCY must be >= 1');
+    if (!(this.rateLimit >= 0)) throw new Error('RATE_LIMIT must be >= 0');
+    if (!(this.rateBurst >= 1)) throw new Error('RATE_BURST must be >= 1');
+    if (this.authUsername && !this.authPassword) throw new Error('AUTH_PASSWORD must be set with AUTH_USERNAME');
+    if (!this.authLoginPath.startsWith('/')) throw new Error('AUTH_LOGIN_PATH must start with /');
+    if (Authenticator.parseCookieList(this.authCookie).includes(null)) {
+      throw new Error('AUTH_COOKIE must be a list of name=value pairs separated by ;');
+    }
+    if (this.basicAuthUser && !this.basicAuthPassword) throw new Error('BASIC_AUTH_PASSWORD must be set with BASIC_AUTH_USER');
+    if (!['http', 'chromium'].includes(this.renderer)) throw new Error('RENDERER must be http or chromium');
+    if (!['load', 'domcontentloaded', 'networkidle0', 'networkidle2'].includes(this.renderWaitUntil)) {
+      throw new Error('RENDER_WAIT_UNTIL must be load, domcontentloaded, networkidle0 or networkidle2');
+    }
+    if (!(this.renderTimeout > 0)) throw new Error('RENDER_TIMEOUT must be > 0');
+  }
+
+  // Any credentials configured; the crawl then avoids /user, /admin and logout links
+  hasAuth() {
+    return Boolean(this.authUsername || this.authCookie || this.basicAuthUser);
+  }
+
+  // Credentials never appear in the log, only how the crawl authenticates
+  describeAuth() {
+    const methods = [];
+    if (this.authUsername) methods.push(`login form as ${this.authUsername} (${this.authLoginPath})`);
+    if (this.authCookie) methods.push('AUTH_COOKIE session');
+    if (this.basicAuthUser) methods.push(`HTTP Basic as ${this.basicAuthUser}`);
+    return methods.join(', ') || 'anonymous';
   }
 
   getRandomUserAgent() {
@@ -52,9 +159,28 @@ class CrawlerConfig {
     return `CrawlerConfig {
   siteHost: ${this.siteHost}
   siteIp: ${this.siteIp}
+  tlsInsecure: ${this.tlsInsecure}
+  auth: ${this.describeAuth()}
+  bigPipeNoJs: ${this.bigPipeNoJs}
+  searchIndex: ${this.searchIndex}
+  renderer: ${this.renderer === 'chromium' ? `chromium (wait for ${this.renderWaitUntil}${this.renderWaitSelector ? ` and ${this.renderWaitSelector}` : ''}, ${this.renderTimeout}ms)` : 'http'}
   crawlDelay: ${this.crawlDelay}ms
   maxDepth: ${this.maxDepth === 0 ? 'unlimited' : this.maxDepth}
   maxPages: ${this.maxPages}
+  includePatterns: ${this.includePatterns.join(' ') || 'all'}
+  excludePatterns: ${this.excludePatterns.join(' ') || 'none'}
+  maxPagerPage: ${this.maxPagerPage === 0 ? 'unlimited' : this.maxPagerPage}
+  viewsExposedFilters: ${this.viewsExposedFilters}
+  stripQueryParams: ${this.stripQueryParams.join(' ') || 'tracking parameters only'}
+  useSitemap: ${this.useSitemap}
+  seedUrls: ${this.seedUrls.length > 0 ? this.seedUrls.join(', ') : 'none'}
+  respectRobots: ${this.respectRobots ? `yes (as "${this.robotsUserAgent}")` : 'no'}
+  captureErrorPages: ${this.captureErrorPages ? `404${this.errorPage403Path ? `, 403 (${this.errorPage403Path})` : ''}` : 'no'}
+  crawlReportJunit: ${this.crawlReportJunit}
+  concurrency: ${this.concurrency}
+  incremental: ${this.incremental}
+  contentStore: ${this.contentStore}
+  rateLimit: ${this.rateLimit === 0 ? 'unlimited' : `${this.rateLimit}/s (burst ${this.rateBurst})`}
   connectTimeout: ${this.connectTimeout}ms
   maxRetries: ${this.maxRetries}
 }`;
@@ -0,0 +1,111 @@
+/**
+ * Content Store
+ * Content-addressed object store shared by all snapshots (<outputDir>/.store).
+ * Snapshot files are hardlinks to its objects, so an asset that doesn't change
+ * between crawls takes disk space once, however many snapshots contain it.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+// Temp files older than this are leftovers of a killed crawl
+const STALE_TEMP_MS = 60 * 60 * 1000;
+
+class ContentStore {
+  constructor(outputDir) {
+    this.root = path.join(outputDir, ContentStore.DIRNAME);
+    // Set once hardlinking failed (e.g. snapshot on another filesystem); files are copied from then on
+    this.linkError = null;
+  }
+
+  static get DIRNAME() {
+    return '.store';
+  }
+
+  static hash(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+  }
+
+  getObjectPath(hash) {
+    return path.join(this.root, hash.slice(0, 2), hash);
+  }
+
+  /**
+   * Add content to the store unless it is already there; returns the object path.
+   * Written to a temp file and renamed so a concurrent reader never sees a partial object.
+   */
+  put(hash, buffer) {
+    const objectPath = this.getObjectPath(hash);
+    if (fs.existsSync(objectPath)) return objectPath;
+
+    fs.ensureDirSync(path.dirname(objectPath));
+    const tempPath = path.join(this.root, `tmp-${process.pid}-${crypto.randomBytes(6).toString('hex')}`);
+    fs.writeFileSync(tempPath, buffer);
+    fs.renameSync(tempPath, objectPath);
+    return objectPath;
+  }
+
+  /**
+   * Place content at destPath as a hardlink to its store object, replacing
+   * whatever was there. Falls back to a plain copy when linking isn't possible.
+   */
+  link(hash, buffer, destPath) {
+    fs.ensureDirSync(path.dirname(destPath));
+    fs.removeSync(destPath);
+
+    if (this.linkError) {
+      fs.writeFileSync(destPath, buffer);
+      return;
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      const objectPath = this.put(hash, buffer);
+      try {
+        fs.linkSync(objectPath, destPath);
+        return;
+      } catch (error) {
+        // Garbage-collected between put() and link(): store it again
+        if (error.code === 'ENOENT' && attempt === 0) continue;
+        this.linkError = error;
+        console.warn(`Content store: cannot hardlink into snapshots (${error.code || error.message}), copying files instead`);
+        fs.writeFileSync(destPath, buffer);
+        return;
+      }
+    }
+  }
+
+  /**
+   * Delete objects no snapshot links to any more (link count 1) and stale temp files.
+   * @returns {{ objects: number, bytes: number }} What was removed
+   */
+  gc() {
+    const removed = { objects: 0, bytes: 0 };
+    if (!fs.existsSync(this.root)) return removed;
+
+    for (const entry of fs.readdirSync(this.root)) {
+      const entryPath = path.join(this.root, entry);
+      const stats = fs.lstatSync(entryPath);
+
+      if (!stats.isDirectory()) {
+        if (entry.startsWith('tmp-') && Date.now() - stats.mtimeMs > STALE_TEMP_MS) {
+          fs.removeSync(entryPath);
+        }
+        continue;
+      }
+
+      for (const object of fs.readdirSync(entryPath)) {
+        const objectPath = path.join(entryPath, object);
+        const objectStats = fs.lstatSync(objectPath);
+        if (objectStats.nlink > 1) continue;
+
+        removed.objects++;
+        removed.bytes += objectStats.size;
+        fs.removeSync(objectPath);
+      }
+    }
+    return removed;
+  }
+}
+
+module.exports = ContentStore;
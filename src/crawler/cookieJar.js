@@ -0,0 +1,153 @@
+/**
+ * Cookie Jar
+ * Keeps cookies set by the site (RFC 6265 domain/path/expiry rules) and sends
+ * them back on later requests, so a login session survives the whole crawl
+ */
+
+const { URL } = require('url');
+
+class CookieJar {
+  constructor() {
+    // "domain;path;name" -> { name, value, domain, hostOnly, path, secure, expires }
+    this.cookies = new Map();
+  }
+
+  /**
+   * Parse a Set-Cookie header received for requestUrl; null if it is invalid
+   * or may not be set by that host.
+   */
+  static parseSetCookie(header, requestUrl) {
+    const [pair, ...attributes] = String(header).split(';');
+    const separator = pair.indexOf('=');
+    if (separator === -1) return null;
+
+    const name = pair.slice(0, separator).trim();
+    if (!name) return null;
+
+    const url = new URL(requestUrl);
+    const host = url.hostname.toLowerCase();
+    const cookie = {
+      name,
+      value: pair.slice(separator + 1).trim(),
+      domain: host,
+      hostOnly: true,
+      path: CookieJar.getDefaultPath(url.pathname),
+      secure: false,
+      expires: null,
+    };
+
+    let maxAge = null;
+    for (const attribute of attributes) {
+      const index = attribute.indexOf('=');
+      const key = (index === -1 ? attribute : attribute.slice(0, index)).trim().toLowerCase();
+      const value = index === -1 ? '' : attribute.slice(index + 1).trim();
+
+      if (key === 'domain' && value) {
+        const domain = value.replace(/^\./, '').toLowerCase();
+        // A host may only set cookies for itself or a parent domain
+        if (!CookieJar.domainMatches(host, domain)) return null;
+        cookie.domain = domain;
+        cookie.hostOnly = false;
+      } else if (key === 'path' && value.startsWith('/')) {
+        cookie.path = value;
+      } else if (key === 'secure') {
+        cookie.secure = true;
+      } else if (key === 'max-age' && /^-?\d+$/.test(value)) {
+        maxAge = parseInt(value, 10);
+      } else if (key === 'expires') {
+        const time = Date.parse(value);
+        if (!Number.isNaN(time)) cookie.expires = time;
+      }
+    }
+    // Max-Age wins over Expires
+    if (maxAge !== null) cookie.expires = Date.now() + maxAge * 1000;
+
+    return cookie;
+  }
+
+  // Directory of the request path, the path a cookie without Path applies to
+  static getDefaultPath(pathname) {
+    if (!pathname.startsWith('/') || pathname.lastIndexOf('/') === 0) return '/';
+    return pathname.slice(0, pathname.lastIndexOf('/'));
+  }
+
+  static domainMatches(host, domain) {
+    return host === domain || host.endsWith(`.${domain}`);
+  }
+
+  static pathMatches(requestPath, cookiePath) {
+    if (requestPath === cookiePath) return true;
+    if (!requestPath.startsWith(cookiePath)) return false;
+    return cookiePath.endsWith('/') || requestPath[cookiePath.length] === '/';
+  }
+
+  /**
+   * Store the cookies of a response; an expired cookie deletes the one it replaces.
+   * @param {string|string[]} headers Set-Cookie header value(s)
+   * @param {string} requestUrl
+   */
+  setCookies(headers, requestUrl) {
+    [].concat(headers || []).forEach((header) => {
+      const cookie = CookieJar.parseSetCookie(header, requestUrl);
+      if (!cookie) return;
+
+      const key = `${cookie.domain};${cookie.path};${cookie.name}`;
+      if (cookie.expires !== null && cookie.expires <= Date.now()) {
+        this.cookies.delete(key);
+      } else {
+        this.cookies.set(key, cookie);
+      }
+    });
+  }
+
+  /**
+   * Add a session cookie for url, as if the site had set it ("name=value").
+   */
+  set(name, value, url) {
+    this.setCookies(`${name}=${value}; Path=/`, url);
+  }
+
+  /**
+   * Cookies to send with a request to url, most specific path first.
+   */
+  getCookies(url) {
+    const parsed = new URL(url);
+    const host = parsed.hostname.toLowerCase();
+    const now = Date.now();
+
+    return Array.from(this.cookies.values())
+      .filter((cookie) => (cookie.hostOnly ? host === cookie.domain : CookieJar.domainMatches(host, cookie.domain)))
+      .filter((cookie) => CookieJar.pathMatches(parsed.pathname, cookie.path))
+      .filter((cookie) => !cookie.secure || parsed.protocol === 'https:')
+      .filter((cookie) => cookie.expires === null || cookie.expires > now)
+      .sort((a, b) => b.path.length - a.path.length);
+  }
+
+  getCookieHeader(url) {
+    return this.getCookies(url).map((cookie) => `${cookie.name}=${cookie.value}`).join('; ');
+  }
+
+  /**
+   * Send and collect cookies on every request made through an axios instance.
+   * Only the final response of redirects axios follows itself is seen.
+   */
+  attach(client) {
+    client.interceptors.request.use((config) => {
+      const cookieHeader = this.getCookieHeader(client.getUri(config));
+      if (cookieHeader) config.headers.set('Cookie', cookieHeader);
+      return config;
+    });
+    client.interceptors.response.use((response) => {
+      const setCookie = response.headers['set-cookie'];
+      if (setCookie) this.setCookies(setCookie, client.getUri(response.config));
+      return response;
+    });
+    return client;
+  }
+
+  get size() {
+    return this.cookies.size;
+  }
+}
+
+module.exports = CookieJar;
@@ -0,0 +1,119 @@
+/**
+ * Crawl Journal
+ * Append-only log of crawl progress kept inside the snapshot directory,
+ * so an interrupted crawl can be resumed with RESUME=<snapshot>
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+class CrawlJournal {
+  constructor(snapshotDir) {
+    this.filePath = path.join(snapshotDir, CrawlJournal.FILENAME);
+  }
+
+  // .crawl-* files are treated as temporary state by clean mode
+  static get FILENAME() {
+    return '.crawl-journal.ndjson';
+  }
+
+  exists() {
+    return fs.existsSync(this.filePath);
+  }
+
+  /**
+   * Append one event. Written synchronously so a killed container loses at most
+   * the event being written.
+   */
+  record(type, data = {}) {
+    fs.appendFileSync(this.filePath, JSON.stringify({ type, ...data }) + '\n', 'utf-8');
+  }
+
+  /**
+   * Replay the journal into the crawl state it describes.
+   * A truncated final line (crash mid-write) is ignored.
+   */
+  load() {
+    const state = {
+      queued: new Map(),
+      visited: new Set(),
+      pages: [],
+      failed: [],
+      assets: new Set(),
+      savedAssets: new Map(),
+      skipped: new Map(),
+      redirects: new Map(),
+      referrers: new Map(),
+    };
+
+    if (!this.exists()) return state;
+
+    const lines = fs.readFileSync(this.filePath, 'utf-8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch (error) {
+        console.warn(`Ignoring unreadable crawl journal entry: ${line.substring(0, 80)}`);
+        continue;
+      }
+
+      switch (event.type) {
+        case 'queued':
+          if (!state.queued.has(event.url)) state.queued.set(event.url, event.depth);
+          if (event.referrer && !state.referrers.has(event.url)) state.referrers.set(event.url, event.referrer);
+          break;
+        case 'page': {
+          const { type, ...page } = event;
+          state.visited.add(page.url);
+          state.pages.push(page);
+          break;
+        }
+        case 'failed': {
+          const { type, ...failure } = event;
+          state.visited.add(failure.url);
+          state.failed.push(failure);
+          break;
+        }
+        case 'visited':
+          state.visited.add(event.url);
+          break;
+        case 'assets':
+          event.urls.forEach((url) => {
+            state.assets.add(url);
+            if (event.referrer && !state.referrers.has(url)) state.referrers.set(url, event.referrer);
+          });
+          break;
+        case 'redirect':
+          state.visited.add(event.url);
+          state.redirects.set(event.url, {
+            to: event.to,
+            status: event.status,
+            external: event.external,
+            fetchTime: event.fetchTime || null,
+          });
+          break;
+        case 'skipped':
+          state.skipped.set(event.url, event.reason);
+          break;
+        case 'asset-saved': {
+          const { type, url, ...entry } = event;
+          state.savedAssets.set(url, entry);
+          break;
+        }
+        default:
+          console.warn(`Unknown crawl journal event type: ${event.type}`);
+      }
+    }
+
+    return state;
+  }
+
+  remove() {
+    fs.removeSync(this.filePath);
+  }
+}
+
+module.exports = CrawlJournal;
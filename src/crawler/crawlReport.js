@@ -0,0 +1,178 @@
+/**
+ * Crawl Report
+ * Per-URL outcome of a crawl, saved as crawl-report.json (and optionally as
+ * JUnit XML) in the snapshot so pipelines can see what failed, why, and where
+ * it was linked from
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { toJUnitXml } = require('../utils/reportFormats');
+
+class CrawlReport {
+  constructor({ siteHost, snapshot }) {
+    this.siteHost = siteHost;
+    this.snapshot = snapshot;
+    // { url, type, status, contentType, bytes, fetchTime, depth, referrer, ... }
+    this.entries = [];
+  }
+
+  static get JSON_FILENAME() {
+    return 'crawl-report.json';
+  }
+
+  static get JUNIT_FILENAME() {
+    return 'crawl-report.xml';
+  }
+
+  /**
+   * Collect every URL the crawl touched.
+   * @param {object} options
+   * @param {string} options.siteHost
+   * @param {string} options.snapshot      Snapshot name
+   * @param {object} options.crawlResult   Return value of Crawler.crawl()
+   * @param {Crawler} options.crawler      Supplies depths and referrers
+   * @param {AssetDownloader} options.downloader Supplies per-asset results
+   * @param {Map<string, object>} options.manifest FileManager manifest (saved file paths)
+   */
+  static fromCrawl({ siteHost, snapshot, crawlResult, crawler, downloader, manifest }) {
+    const report = new CrawlReport({ siteHost, snapshot });
+    const origin = (url) => ({
+      depth: crawler.urlDepthMap.has(url) ? crawler.getDepthForUrl(url) : null,
+      referrer: crawler.getReferrer(url),
+    });
+
+    crawlResult.pages.forEach((page) => report.add({
+      url: page.url,
+      type: 'page',
+      status: page.status,
+      contentType: page.contentType,
+      bytes: page.bytes,
+      fetchTime: page.fetchTime,
+      renderTime: page.renderTime || null,
+      ...origin(page.url),
+      filePath: page.filePath,
+      actions: page.actions || [],
+    }));
+
+    crawlResult.failed.forEach((failure) => report.add({
+      url: failure.url,
+      type: 'page',
+      status: failure.status,
+      contentType: failure.contentType,
+      bytes: failure.bytes,
+      fetchTime: failure.fetchTime,
+      ...origin(failure.url),
+      error: failure.error,
+    }));
+
+    crawlResult.redirects.forEach((redirect) => report.add({
+      url: redirect.from,
+      type: 'redirect',
+      status: redirect.status,
+      fetchTime: redirect.fetchTime,
+      ...origin(redirect.from),
+      location: redirect.to,
+    }));
+
+    crawlResult.skipped.forEach((skipped) => report.add({
+      url: skipped.url,
+      type: 'skipped',
+      ...origin(skipped.url),
+      reason: skipped.reason,
+    }));
+
+    crawlResult.errorPages.forEach((page) => report.add({
+      url: page.url,
+      type: 'error-page',
+      status: page.status,
+      filePath: `${page.status}.html`,
+    }));
+
+    downloader.results.forEach((result, url) => {
+      const entry = manifest.get(url);
+      report.add({
+        url,
+        type: 'asset',
+        status: result.status,
+        contentType: result.contentType,
+        bytes: result.bytes,
+        fetchTime: result.fetchTime,
+        ...origin(url),
+        filePath: entry ? entry.filePath : null,
+        error: result.error || null,
+      });
+    });
+
+    return report;
+  }
+
+  add(entry) {
+    this.entries.push({
+      status: null,
+      contentType: null,
+      bytes: null,
+      fetchTime: null,
+      depth: null,
+      referrer: null,
+      ...entry,
+    });
+  }
+
+  getSummary() {
+    const count = (predicate) => this.entries.filter(predicate).length;
+    return {
+      pages: count((entry) => entry.type === 'page' && !entry.error),
+      assets: count((entry) => entry.type === 'asset' && !entry.error),
+      redirects: count((entry) => entry.type === 'redirect'),
+      skipped: count((entry) => entry.type === 'skipped'),
+      errorPages: count((entry) => entry.type === 'error-page'),
+      failed: count((entry) => Boolean(entry.error)),
+      bytes: this.entries.reduce((sum, entry) => sum + (entry.bytes || 0), 0),
+    };
+  }
+
+  toJSON() {
+    return {
+      site: this.siteHost,
+      snapshot: this.snapshot,
+      generatedAt: new Date().toISOString(),
+      summary: this.getSummary(),
+      urls: this.entries,
+    };
+  }
+
+  /**
+   * One JUnit test case per URL: failed fetches are failures, URLs left out of
+   * the crawl are skipped.
+   */
+  toJUnit() {
+    const toCase = (entry) => ({
+      name: entry.url,
+      classname: `crawl.${entry.type}`,
+      time: entry.fetchTime !== null ? (entry.fetchTime / 1000).toFixed(3) : null,
+      failure: entry.error ? {
+        message: entry.error,
+        details: entry.referrer ? `Linked from ${entry.referrer}` : '',
+      } : null,
+      skipped: entry.type === 'skipped' ? entry.reason : null,
+    });
+
+    return toJUnitXml(`crawl ${this.siteHost} ${this.snapshot}`, [
+      { name: 'pages', cases: this.entries.filter((entry) => entry.type !== 'asset').map(toCase) },
+      { name: 'assets', cases: this.entries.filter((entry) => entry.type === 'asset').map(toCase) },
+    ]);
+  }
+
+  /**
+   * Write crawl-report.json (and crawl-report.xml when junit is set) into snapshotDir.
+   */
+  save(snapshotDir, { junit = false } = {}) {
+    fs.writeFileSync(path.join(snapshotDir, CrawlReport.JSON_FILENAME), JSON.stringify(this.toJSON(), null, 2), 'utf-8');
+    if (junit) {
+      fs.writeFileSync(path.join(snapshotDir, CrawlReport.JUNIT_FILENAME), this.toJUnit(), 'utf-8');
+    }
+  }
+}
+
+module.exports = CrawlReport;
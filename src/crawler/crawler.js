@@ -3,13 +3,40 @@
  * Recursively crawls a Drupal site and collects all pages/assets
  */
 
-const axios = require('axios');
+const crypto = require('crypto');
 const cheerio = require('cheerio');
 const { URL } = require('url');
 const CrawlerConfig = require('./config');
+const RobotsTxt = require('./robots');
+const Sitemap = require('./sitemap');
+const UrlFilter = require('./urlFilter');
+const UrlCanonicalizer = require('./urlCanonicalizer');
+const { createHttpClient } = require('./httpClient');
+const CookieJar = require('./cookieJar');
+const Authenticator = require('./authenticator');
+const BrowserRenderer = require('./browserRenderer');
+const RateLimiter = require('./rateLimiter');
+const WorkQueue = require('./workQueue');
+const CssUtils = require('../processor/cssUtils');
+const BigPipe = require('../processor/bigPipe');
+const DrupalViews = require('../processor/drupalViews');
 
 class Crawler {
-  constructor(config) {
+  /**
+   * @param {CrawlerConfig} config
+   * @param {object} [options]
+   * @param {CrawlJournal} [options.journal] Progress log used to resume interrupted crawls
+   * @param {function} [options.onPage] async ({ url, html, status, depth }) => { filePath, actions };
+   *   called as soon as a page is fetched, so its HTML never has to stay in memory.
+   *   actions lists the post-processing applied, for the crawl report
+   * @param {function} [options.onAssets] (urls) => void; called with asset URLs as they are discovered
+   * @param {PreviousSnapshot} [options.previous] Earlier snapshot to send conditional requests against
+   * @param {function} [options.onUnchangedPage] async ({ url, depth, entry }) => filePath;
+   *   called instead of onPage when the origin answers 304 Not Modified
+   * @param {function} [options.onErrorPage] async ({ url, html, status }) => void;
+   *   called with the site's themed 404 (and 403) page after the crawl
+   */
+  constructor(config, options = {}) {
     if (!(config instanceof CrawlerConfig)) {
       throw new TypeError('config must be a CrawlerConfig instance');
     }
@@ -21,10 +48,35 @@ class Crawler {
     this.failedUrls = [];
     this.assetUrls = new Set();
     this.urlDepthMap = new Map();
+    // url -> reason, for URLs deliberately not crawled (e.g. robots.txt)
+    this.skippedUrls = new Map();
+    // from url -> { to, status, external }, for every 3xx answered while crawling
+    this.redirects = new Map();
+    // page/asset url -> url of the page (or stylesheet) it was first found on
+    this.referrers = new Map();
+    this.urlFilter = UrlFilter.fromConfig(this.config);
+    this.canonicalizer = new UrlCanonicalizer({ stripParams: this.config.stripQueryParams });
+    this.queue = new WorkQueue();
+    this.processedCount = 0;
+    this.journal = options.journal || null;
+    this.robots = new RobotsTxt();
+    this.onPage = options.onPage || null;
+    this.onAssets = options.onAssets || null;
+    this.previous = options.previous || null;
+    this.onUnchangedPage = options.onUnchangedPage || null;
+    this.onErrorPage = options.onErrorPage || null;
+
+    // Shared with the asset downloader so pages and assets draw from one budget
+    this.rateLimiter = new RateLimiter({
+      rate: this.config.rateLimit,
+      burst: this.config.rateBurst,
+      // CRAWL_DELAY is a floor for the whole crawl, however many workers run
+      minInterval: this.config.crawlDelay,
+    });
 
-    this.httpClient = axios.create({
-      timeout: this.config.connectTimeout,
-      maxRedirects: 10,
+    this.httpClient = createHttpClient(this.config, {
+      // Redirects are followed by fetchPage so each hop can be recorded
+      maxRedirects: 0,
       validateStatus: () => true,
       headers: {
         'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
@@ -35,6 +87,26 @@ class Crawler {
         'Upgrade-Insecure-Requests': '1',
       },
     });
+
+    // Cookies persist across all requests (the asset downloader shares the jar)
+    this.cookieJar = new CookieJar();
+    this.cookieJar.attach(this.httpClient);
+    this.authenticator = new Authenticator(this.config, this.httpClient, this.cookieJar, {
+      rateLimiter: this.rateLimiter,
+    });
+    // BigPipe's no-JS mode renders every placeholder into the page itself
+    if (this.config.bigPipeNoJs) {
+      this.cookieJar.set('big_pipe_nojs', '1', this.config.getSiteUrl() + '/');
+    }
+
+    // RENDERER=chromium: pages fetched over HTTP are rendered again in a headless browser
+    this.renderer = this.config.renderer === 'chromium'
+      ? new BrowserRenderer(this.config, {
+        cookieJar: this.cookieJar,
+        isSameDomain: (url) => this.isSameDomain(url),
+        rateLimiter: this.rateLimiter,
+      })
+      : null;
   }
 
   async crawl() {
@@ -46,97 +118,423 @@ class Crawler {
     const startTime = Date.now();
     const startingUrl = this.config.getSiteUrl() + '/';
 
-    this.queueUrl(startingUrl, 0);
-
-    let processedCount = 0;
-    while (this.queuedUrls.size > 0 && processedCount < this.config.maxPages) {
-      const url = Array.from(this.queuedUrls)[0];
-      this.queuedUrls.delete(url);
-
-      const depth = this.getDepthForUrl(url);
-
-      if (this.config.maxDepth > 0 && depth > this.config.maxDepth) {
-        console.log(`Max depth reached: ${url}`);
-        continue;
-      }
-
-      if (this.visitedUrls.has(url)) {
-        continue;
-      }
-
-      this.visitedUrls.add(url);
-      processedCount++;
-
-      console.log(`[${processedCount}/${this.config.maxPages}] Fetching: ${url}`);
-
-      try {
-        const page = await this.fetchPage(url);
-
-        if (page.status === 200) {
-          this.crawledPages.push({
-            url,
-            html: page.html,
-            status: page.status,
-            depth,
-            timestamp: Date.now(),
-          });
+    if (this.authenticator.enabled) {
+      await this.authenticator.login();
+    }
 
-          const newUrls = this.extractUrls(page.html, url);
-          console.log(`  Found ${newUrls.urls.length} links, ${newUrls.assets.length} assets`);
+    if (this.config.useSitemap || this.config.respectRobots) {
+      await this.loadRobots();
+    }
 
-          newUrls.urls.forEach((newUrl) => {
-            if (!this.visitedUrls.has(newUrl) && !this.queuedUrls.has(newUrl)) {
-              this.queueUrl(newUrl, depth + 1);
-            }
-          });
+    // The home page is always fetched, even when INCLUDE_PATTERNS would exclude it,
+    // so there is somewhere to discover in-scope links from
+    this.queueUrl(startingUrl, 0, { bypassFilters: true });
 
-          newUrls.assets.forEach((asset) => this.assetUrls.add(asset));
-        } else if (page.status === 'binary-asset') {
-          // Non-HTML response (e.g. application/zip, Content-Disposition: attachment).
-          // Route to the asset download pipeline so it is saved as binary, not garbled HTML.
-          console.log(`  Binary asset (${page.contentType}) — queued for asset download`);
-          this.assetUrls.add(url);
-        } else {
-          console.log(`  Status ${page.status} (skipping)`);
-          this.failedUrls.push({ url, status: page.status, error: page.error });
-        }
-      } catch (error) {
-        console.log(`  Error: ${error.message}`);
-        this.failedUrls.push({ url, status: 0, error: error.message });
-      }
+    // Orphaned nodes nothing links to are only reachable through the sitemap or explicit seeds
+    const seeds = await this.discoverSeeds();
+    seeds.forEach((seedUrl) => this.queueUrl(seedUrl, 0));
 
-      if (this.config.crawlDelay > 0) {
-        await this.sleep(this.config.crawlDelay);
-      }
+    if (this.renderer) await this.renderer.start();
+    try {
+      await this.queue.run(this.config.concurrency, (url) => this.processUrl(url), {
+        shouldStop: () => this.processedCount >= this.config.maxPages,
+      });
+    } finally {
+      if (this.renderer) await this.renderer.close();
     }
 
+    const errorPages = this.config.captureErrorPages ? await this.captureErrorPages() : [];
+
     const duration = ((Date.now() - startTime) / 1000).toFixed(1);
     console.log(`\nCrawl complete in ${duration}s`);
     console.log(`Pages crawled: ${this.crawledPages.length}`);
+    if (this.renderer) console.log(`Pages rendered: ${this.renderer.renderedCount}`);
     console.log(`Assets found: ${this.assetUrls.size}`);
     console.log(`Failed URLs: ${this.failedUrls.length}`);
+    console.log(`Skipped URLs: ${this.skippedUrls.size}`);
+    console.log(`Redirects: ${this.redirects.size}`);
+    Object.entries(this.urlFilter.getSummary()).forEach(([rule, count]) => {
+      console.log(`  ${rule}: ${count} URLs filtered`);
+    });
 
     return {
       pages: this.crawledPages,
       assets: Array.from(this.assetUrls),
       failed: this.failedUrls,
+      skipped: Array.from(this.skippedUrls, ([url, reason]) => ({ url, reason })),
+      redirects: Array.from(this.redirects, ([from, redirect]) => ({ from, ...redirect })),
+      errorPages,
       stats: {
         pagesCrawled: this.crawledPages.length,
+        unchangedPages: this.crawledPages.filter((page) => page.status === 304).length,
+        renderedPages: this.renderer ? this.renderer.renderedCount : 0,
         assetCount: this.assetUrls.size,
         failureCount: this.failedUrls.length,
+        skippedCount: this.skippedUrls.size,
+        redirectCount: this.redirects.size,
+        filteredByRule: this.urlFilter.getSummary(),
         duration: duration + 's',
       },
     };
   }
 
+  // Hops followed per URL before a redirect chain counts as a loop
+  static get MAX_REDIRECTS() {
+    return 10;
+  }
+
+  // Upper bound on sitemap documents fetched, in case of cyclic or huge sitemap indexes
+  static get MAX_SITEMAPS() {
+    return 500;
+  }
+
+  /**
+   * Collect start URLs besides the home page: SEED_URLS, then every <loc> from
+   * the sitemaps listed in robots.txt (or /sitemap.xml), following sitemap indexes.
+   */
+  async discoverSeeds() {
+    const siteUrl = this.config.getSiteUrl();
+    const seeds = new Set();
+
+    this.config.seedUrls.forEach((seed) => {
+      const absoluteUrl = this.resolveUrl(seed, siteUrl + '/');
+      if (this.isSameDomain(absoluteUrl)) {
+        seeds.add(absoluteUrl);
+      } else {
+        console.warn(`Ignoring SEED_URLS entry outside ${this.config.siteHostname}: ${seed}`);
+      }
+    });
+
+    if (this.config.useSitemap) {
+      const sitemapUrls = [...this.robots.sitemaps, `${siteUrl}/sitemap.xml`]
+        .map((url) => this.toSiteUrl(url))
+        .filter(Boolean);
+      const fetched = new Set();
+
+      while (sitemapUrls.length > 0 && fetched.size < Crawler.MAX_SITEMAPS) {
+        const sitemapUrl = sitemapUrls.shift();
+        if (fetched.has(sitemapUrl)) continue;
+        fetched.add(sitemapUrl);
+
+        const body = await this.fetchResource(sitemapUrl);
+        if (!body) continue;
+
+        let sitemap;
+        try {
+          sitemap = Sitemap.parse(body);
+        } catch (error) {
+          console.warn(`Unreadable sitemap ${sitemapUrl}: ${error.message}`);
+          continue;
+        }
+
+        if (sitemap.type === 'sitemapindex') {
+          sitemap.locs.forEach((loc) => {
+            const childUrl = this.toSiteUrl(loc);
+            if (childUrl) sitemapUrls.push(childUrl);
+          });
+        } else {
+          sitemap.locs.forEach((loc) => {
+            const pageUrl = this.toSiteUrl(loc);
+            if (pageUrl) seeds.add(pageUrl);
+          });
+        }
+        console.log(`Sitemap ${sitemapUrl}: ${sitemap.locs.length} ${sitemap.type === 'sitemapindex' ? 'sitemaps' : 'URLs'}`);
+      }
+    }
+
+    if (seeds.size > 0) console.log(`Seeding ${seeds.size} additional start URLs`);
+    return Array.from(seeds);
+  }
+
+  /**
+   * Fetch and parse /robots.txt. With RESPECT_ROBOTS, its Crawl-delay for our
+   * user agent becomes the limiter's minimum interval if it exceeds CRAWL_DELAY.
+   */
+  async loadRobots() {
+    const robotsUrl = `${this.config.getSiteUrl()}/robots.txt`;
+    const body = await this.fetchResource(robotsUrl);
+    this.robots = RobotsTxt.parse(body ? body.toString('utf-8') : '');
+
+    if (!this.config.respectRobots) return;
+
+    const crawlDelay = this.robots.getCrawlDelay(this.config.robotsUserAgent);
+    if (crawlDelay !== null && this.rateLimiter.raiseMinInterval(Math.ceil(crawlDelay * 1000))) {
+      console.log(`robots.txt Crawl-delay: ${crawlDelay}s — at least ${this.rateLimiter.minInterval}ms between requests (CRAWL_DELAY ${this.config.crawlDelay}ms)`);
+    }
+  }
+
+  /**
+   * Record a URL that will deliberately not be crawled, with the reason.
+   */
+  skipUrl(url, reason) {
+    if (this.skippedUrls.has(url)) return;
+    this.skippedUrls.set(url, reason);
+    this.recordJournal('skipped', { url, reason });
+  }
+
+  /**
+   * Same-domain URL re-based onto SITE_PROTOCOL://SITE_HOST, so sitemap entries
+   * generated with another scheme or www-variant match the URLs found in links.
+   * Returns '' for URLs on other domains.
+   */
+  toSiteUrl(url) {
+    if (!this.isSameDomain(url)) return '';
+    const parsed = new URL(url);
+    return this.config.getSiteUrl() + parsed.pathname + parsed.search;
+  }
+
+  /**
+   * Fetch the site's own error pages: a random path that cannot exist for the
+   * 404 page, and ERROR_PAGE_403_PATH (if set) for the 403 page. Each themed
+   * HTML response is handed to onErrorPage and its assets are downloaded.
+   * Returns [{ status, url }] for the pages captured.
+   */
+  async captureErrorPages() {
+    const siteUrl = this.config.getSiteUrl();
+    const targets = [
+      { status: 404, url: `${siteUrl}/drupal-to-static-html-${crypto.randomBytes(8).toString('hex')}` },
+    ];
+    if (this.config.errorPage403Path) {
+      targets.push({ status: 403, url: this.resolveUrl(this.config.errorPage403Path, siteUrl + '/') });
+    }
+
+    const captured = [];
+    for (const { status, url } of targets) {
+      try {
+        await this.rateLimiter.acquire(url);
+        const response = await this.httpClient.get(url, {
+          headers: { 'User-Agent': this.config.getRandomUserAgent() },
+        });
+        const contentType = (response.headers['content-type'] || '').toLowerCase();
+
+        if (response.status !== status || !contentType.includes('html') || typeof response.data !== 'string') {
+          console.warn(`No ${status} page captured: ${url} answered ${response.status} (${contentType || 'no content type'})`);
+          continue;
+        }
+
+        console.log(`Captured ${status} page from ${url}`);
+        if (this.onErrorPage) await this.onErrorPage({ url, html: response.data, status });
+        this.addAssets(this.extractUrls(response.data, url).assets, url);
+        captured.push({ status, url });
+      } catch (error) {
+        console.warn(`Could not fetch ${status} page ${url}: ${error.message}`);
+      }
+    }
+
+    return captured;
+  }
+
+  /**
+   * GET a small auxiliary resource (robots.txt, sitemaps) as a Buffer; null unless 200.
+   */
+  async fetchResource(url) {
+    try {
+      await this.rateLimiter.acquire(url);
+      const response = await this.httpClient.get(url, {
+        responseType: 'arraybuffer',
+        maxRedirects: Crawler.MAX_REDIRECTS,
+        headers: { 'User-Agent': this.config.getRandomUserAgent() },
+      });
+      return response.status === 200 ? Buffer.from(response.data) : null;
+    } catch (error) {
+      console.warn(`Could not fetch ${url}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async processUrl(url) {
+    this.queuedUrls.delete(url);
+
+    const depth = this.getDepthForUrl(url);
+
+    if (this.config.maxDepth > 0 && depth > this.config.maxDepth) {
+      console.log(`Max depth reached: ${url}`);
+      return;
+    }
+
+    if (this.visitedUrls.has(url) || this.processedCount >= this.config.maxPages) {
+      return;
+    }
+
+    this.visitedUrls.add(url);
+    this.processedCount++;
+
+    console.log(`[${this.processedCount}/${this.config.maxPages}] Fetching: ${url}`);
+
+    try {
+      const page = await this.fetchPage(url);
+      const fetchInfo = {
+        contentType: page.contentType || null,
+        bytes: page.bytes || 0,
+        fetchTime: page.fetchTime || null,
+        renderTime: page.renderTime || null,
+      };
+
+      if (page.status === 200 || page.status === 304) {
+        // 304: unchanged since the previous snapshot — reuse its saved copy and
+        // replay the links and actions recorded when it was first fetched
+        const entry = page.status === 304 ? this.previous.get(url) : null;
+        const newUrls = entry
+          ? { urls: entry.links, assets: entry.assets || [] }
+          : this.extractUrls(page.html, url);
+        // Data the rendered page loaded through XHR/fetch is saved alongside it
+        const assets = [...newUrls.assets, ...(page.requests || [])];
+        console.log(`  ${entry ? 'Unchanged; ' : ''}Found ${newUrls.urls.length} links, ${assets.length} assets`);
+
+        let filePath = null;
+        let actions = entry ? entry.actions || [] : [];
+        if (entry) {
+          filePath = this.onUnchangedPage
+            ? await this.onUnchangedPage({ url, depth, entry })
+            : entry.filePath;
+        } else if (this.onPage) {
+          ({ filePath, actions } = await this.onPage({ url, html: page.html, status: page.status, depth }));
+        }
+
+        // Lightweight record only — the HTML has already been handed to onPage
+        const record = {
+          url,
+          filePath,
+          status: page.status,
+          depth,
+          ...fetchInfo,
+          actions,
+          links: newUrls.urls,
+          assets,
+          timestamp: Date.now(),
+          etag: page.etag || (entry && entry.etag) || null,
+          lastModified: page.lastModified || (entry && entry.lastModified) || null,
+        };
+        this.crawledPages.push(record);
+        this.recordJournal('page', record);
+
+        newUrls.urls.forEach((newUrl) => {
+          if (!this.visitedUrls.has(newUrl) && !this.queuedUrls.has(newUrl)) {
+            this.queueUrl(newUrl, depth + 1, { referrer: url });
+          }
+        });
+
+        this.addAssets(assets, url);
+      } else if (page.status === 'binary-asset') {
+        // Non-HTML response (e.g. application/zip, Content-Disposition: attachment).
+        // Route to the asset download pipeline so it is saved as binary, not garbled HTML.
+        console.log(`  Binary asset (${page.contentType}) — queued for asset download`);
+        this.recordJournal('visited', { url });
+        this.addAssets([url], this.getReferrer(url));
+      } else if (page.status === 'redirect') {
+        this.recordRedirect(url, page.location, page.redirectStatus, page.fetchTime);
+      } else {
+        console.log(`  Status ${page.status} (skipping)`);
+        this.recordFailure({ url, status: page.status, error: page.error, depth, ...fetchInfo });
+      }
+    } catch (error) {
+      console.log(`  Error: ${error.message}`);
+      this.recordFailure({ url, status: 0, error: error.message, depth });
+    }
+  }
+
+  /**
+   * Remember a redirect and crawl its target instead. The target is queued at
+   * the same depth (a redirect is not a link hop) and saved under its own URL,
+   * so /node/12 -> /about-us yields one page at about-us/ plus a redirect entry.
+   */
+  recordRedirect(url, location, status, fetchTime = null) {
+    const siteUrl = this.toSiteUrl(location);
+    const to = siteUrl ? this.canonicalizer.canonicalize(siteUrl) : location;
+    const redirect = { to, status, external: !siteUrl, fetchTime };
+
+    if (siteUrl && this.authenticator.enabled && Authenticator.isSessionPath(to)) {
+      console.warn(`  Redirected to ${to} — the session may have expired`);
+    }
+
+    this.redirects.set(url, redirect);
+    this.recordJournal('redirect', { url, ...redirect });
+    console.log(`  ${status} redirect -> ${to}`);
+
+    if (siteUrl) this.queueUrl(to, this.getDepthForUrl(url), { referrer: url });
+  }
+
+  addAssets(urls, referrer = null) {
+    urls.forEach((asset) => {
+      this.assetUrls.add(asset);
+      this.noteReferrer(asset, referrer);
+    });
+    this.recordJournal('assets', { urls, referrer });
+    if (this.onAssets && urls.length > 0) this.onAssets(urls);
+  }
+
+  // Keep the first page (or stylesheet) a URL was found on
+  noteReferrer(url, referrer) {
+    if (referrer && !this.referrers.has(url)) this.referrers.set(url, referrer);
+  }
+
+  getReferrer(url) {
+    return this.referrers.get(url) || null;
+  }
+
+  recordFailure(failure) {
+    this.failedUrls.push(failure);
+    this.recordJournal('failed', failure);
+  }
+
+  recordJournal(type, data) {
+    if (this.journal) this.journal.record(type, data);
+  }
+
+  /**
+   * Rebuild in-memory crawl state from a CrawlJournal replay, so already
+   * fetched pages are not requested again.
+   */
+  restore(state) {
+    state.visited.forEach((url) => this.visitedUrls.add(url));
+    state.pages.forEach((page) => this.crawledPages.push(page));
+    state.failed.forEach((failure) => this.failedUrls.push(failure));
+    state.assets.forEach((asset) => this.assetUrls.add(asset));
+    state.skipped.forEach((reason, url) => this.skippedUrls.set(url, reason));
+    state.redirects.forEach((redirect, url) => this.redirects.set(url, redirect));
+    state.referrers.forEach((referrer, url) => this.noteReferrer(url, referrer));
+    this.processedCount = this.visitedUrls.size;
+
+    state.queued.forEach((depth, url) => {
+      this.urlDepthMap.set(url, depth);
+      if (!this.visitedUrls.has(url) && !this.queuedUrls.has(url)) {
+        this.queuedUrls.add(url);
+        this.queue.push(url);
+      }
+    });
+
+    console.log(`Restored crawl state: ${this.visitedUrls.size} visited, ${this.queuedUrls.size} queued, ${this.assetUrls.size} assets`);
+  }
+
   async fetchPage(url, attempt = 0) {
     try {
       const headers = {
         'User-Agent': this.config.getRandomUserAgent(),
-        'Host': this.config.siteHost,
       };
 
-      const response = await this.httpClient.get(url, { headers });
+      const previousEntry = this.previous && this.previous.get(url);
+      // A 304 is only usable if the entry recorded the page's links (older manifests don't)
+      if (previousEntry && previousEntry.type === 'page' && Array.isArray(previousEntry.links)) {
+        Object.assign(headers, this.previous.getConditionalHeaders(url));
+      }
+
+      const { response, redirect, fetchTime } = await this.followRedirects(url, headers);
+      if (redirect) return { ...redirect, fetchTime };
+
+      const validators = {
+        etag: response.headers['etag'] || null,
+        lastModified: response.headers['last-modified'] || null,
+      };
+
+      const fetchInfo = {
+        contentType: response.headers['content-type'] || null,
+        bytes: typeof response.data === 'string' ? Buffer.byteLength(response.data) : 0,
+        fetchTime,
+      };
+
+      if (response.status === 304 && previousEntry) {
+        return { html: '', status: 304, ...validators, ...fetchInfo };
+      }
 
       if (response.status === 200 && response.data) {
         const contentType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
@@ -149,12 +547,15 @@ class Crawler {
         const isAttachment = /\battachment\b/.test(contentDisp);
 
         if (!isHtml || isAttachment) {
-          return { html: '', status: 'binary-asset', contentType };
+          return { html: '', status: 'binary-asset', ...fetchInfo, contentType };
         }
 
-        return { html: response.data, status: 200 };
+        if (this.renderer) {
+          return { ...(await this.renderPage(url, response.data, response.headers['content-type'])), status: 200, ...validators, ...fetchInfo };
+        }
+        return { html: response.data, status: 200, ...validators, ...fetchInfo };
       } else {
-        return { html: '', status: response.status, error: `HTTP ${response.status}` };
+        return { html: '', status: response.status, error: `HTTP ${response.status}`, ...fetchInfo };
       }
     } catch (error) {
       if (attempt < this.config.maxRetries) {
@@ -166,6 +567,72 @@ class Crawler {
     }
   }
 
+  /**
+   * Render a page the server answered with HTML. The browser gets the
+   * fetched HTML instead of requesting the page a second time; the requests
+   * its scripts, styles and images make wait for the rate limiter. Falls back
+   * to the server's HTML if rendering fails, so one broken page doesn't stop
+   * the crawl.
+   * @returns {Promise<{ html: string, requests: string[], renderTime: number|null }>}
+   */
+  async renderPage(url, serverHtml, contentType) {
+    try {
+      const rendered = await this.renderer.render(url, {
+        userAgent: this.config.getRandomUserAgent(),
+        html: serverHtml,
+        contentType: contentType || undefined,
+      });
+      const { saveable, withQuery } = BrowserRenderer.partitionRequests(rendered.requests);
+      withQuery.forEach((requestUrl) => this.skipUrl(requestUrl, 'rendered page request with a query string: cannot be saved as a static file'));
+      console.log(`  Rendered in ${rendered.renderTime}ms${saveable.length > 0 ? `, ${saveable.length} XHR/fetch responses` : ''}`);
+      return { html: rendered.html, requests: saveable, renderTime: rendered.renderTime };
+    } catch (error) {
+      console.warn(`  Rendering failed (${error.message}), using the server HTML`);
+      return { html: serverHtml, requests: [], renderTime: null };
+    }
+  }
+
+  /**
+   * GET url, following redirects that only normalize it (trailing slash,
+   * tracking parameters, http -> https on the same host) in place. Any other
+   * redirect is returned as { redirect: { status: 'redirect', location, redirectStatus } }
+   * for the caller to record rather than follow. fetchTime is the time spent
+   * on requests in ms, excluding rate-limit waits.
+   */
+  async followRedirects(url, headers) {
+    let requestUrl = url;
+    let fetchTime = 0;
+
+    for (let hop = 0; ; hop++) {
+      await this.rateLimiter.acquire(requestUrl);
+      const started = Date.now();
+      const response = await this.httpClient.get(requestUrl, { headers });
+      fetchTime += Date.now() - started;
+
+      const location = response.headers['location'];
+      if (response.status < 300 || response.status > 399 || response.status === 304 || !location) {
+        return { response, fetchTime };
+      }
+
+      if (hop >= Crawler.MAX_REDIRECTS) {
+        return { redirect: { html: '', status: response.status, error: `More than ${Crawler.MAX_REDIRECTS} redirects` }, fetchTime };
+      }
+
+      const target = this.resolveUrl(location, requestUrl);
+      if (!target) {
+        return { redirect: { html: '', status: response.status, error: `Invalid redirect location: ${location}` }, fetchTime };
+      }
+
+      const siteUrl = this.toSiteUrl(target);
+      if (siteUrl && this.canonicalizer.canonicalize(siteUrl) === url) {
+        requestUrl = target;
+        continue;
+      }
+
+      return { redirect: { html: '', status: 'redirect', location: target, redirectStatus: response.status }, fetchTime };
+    }
+  }
+
   // File extensions that should be downloaded as binary assets rather than crawled as pages.
   static get BINARY_EXTENSIONS() {
     return /\.(zip|gz|tar|7z|rar|bz2|pdf|docx?|xlsx?|pptx?|odt|ods|odp|csv|mp3|mp4|wav|ogg|webm|avi|mov|mkv|flac|aac|woff2?|ttf|eot|otf)(\?.*)?$/i;
@@ -177,10 +644,13 @@ class Crawler {
 
     try {
       const $ = cheerio.load(html);
+      // Links and assets inside BigPipe blocks are only in their AJAX commands
+      BigPipe.resolve($);
 
       $('a[href]').each((_, elem) => {
         const href = $(elem).attr('href');
-        const absoluteUrl = this.resolveUrl(href, pageUrl);
+        // Views AJAX pager links are crawled as the listing page they stand for
+        const absoluteUrl = DrupalViews.toPageUrl(this.resolveUrl(href, pageUrl), pageUrl);
         if (!this.isSameDomain(absoluteUrl)) return;
 
         // Binary files linked via <a href> should be downloaded as assets, not crawled as pages.
@@ -192,7 +662,7 @@ class Crawler {
           }
         } catch (_) { /* fall through to urls */ }
 
-        urls.add(absoluteUrl);
+        urls.add(this.canonicalizer.canonicalize(absoluteUrl));
       });
 
       $('img[src], script[src], link[href][rel~=stylesheet]').each((_, elem) => {
@@ -203,11 +673,24 @@ class Crawler {
         }
       });
 
+      // Backgrounds, fonts and @imports referenced from inline styles
+      const inlineCss = [];
+      $('[style]').each((_, elem) => inlineCss.push($(elem).attr('style')));
+      $('style').each((_, elem) => inlineCss.push($(elem).text()));
+      inlineCss.forEach((css) => {
+        this.extractCssUrls(css, pageUrl).forEach((asset) => assets.add(asset));
+      });
+
+      // Exposed filter options become links in the saved page
+      DrupalViews.findPageUrls($, pageUrl, this.config.viewsExposedFilters).forEach((url) => {
+        if (this.isSameDomain(url)) urls.add(this.canonicalizer.canonicalize(url));
+      });
+
       $('form[action]').each((_, elem) => {
         const action = $(elem).attr('action');
         const absoluteUrl = this.resolveUrl(action, pageUrl);
         if (this.isSameDomain(absoluteUrl)) {
-          urls.add(absoluteUrl);
+          urls.add(this.canonicalizer.canonicalize(absoluteUrl));
         }
       });
     } catch (error) {
@@ -220,6 +703,21 @@ class Crawler {
     };
   }
 
+  /**
+   * Same-domain assets referenced from a stylesheet via url(...) or @import,
+   * resolved against the stylesheet's own URL.
+   */
+  extractCssUrls(css, cssUrl) {
+    const assets = new Set();
+    CssUtils.extractUrls(css).forEach((ref) => {
+      const absoluteUrl = this.resolveUrl(ref, cssUrl);
+      if (this.isSameDomain(absoluteUrl)) {
+        assets.add(absoluteUrl);
+      }
+    });
+    return Array.from(assets);
+  }
+
   resolveUrl(relativeUrl, baseUrl) {
     if (!relativeUrl) return '';
     if (relativeUrl.startsWith('#')) return '';
@@ -243,11 +741,43 @@ class Crawler {
     }
   }
 
-  queueUrl(url, depth) {
-    if (!this.visitedUrls.has(url) && !this.queuedUrls.has(url)) {
-      this.queuedUrls.add(url);
-      this.urlDepthMap.set(url, depth);
+  queueUrl(rawUrl, depth, { bypassFilters = false, referrer = null } = {}) {
+    // One queue entry per page: /blog?utm_source=x, /blog/ and /index.php?q=blog are all /blog
+    const url = this.canonicalizer.canonicalize(rawUrl);
+    if (this.visitedUrls.has(url) || this.queuedUrls.has(url) || this.skippedUrls.has(url)) {
+      return;
+    }
+    this.noteReferrer(url, referrer);
+
+    // A logged-in crawl must not end its own session or walk the admin UI
+    if (this.authenticator.enabled && Authenticator.isSessionPath(url)) {
+      this.skipUrl(url, 'authenticated crawl: /user, /admin and logout paths are never followed');
+      return;
+    }
+
+    const filterRule = bypassFilters ? null : this.urlFilter.check(url);
+    if (filterRule) {
+      this.skipUrl(url, filterRule);
+      return;
     }
+
+    if (!this.checkRobots(url)) return;
+
+    this.queuedUrls.add(url);
+    this.urlDepthMap.set(url, depth);
+    this.queue.push(url);
+    this.recordJournal('queued', { url, depth, referrer: this.getReferrer(url) });
+  }
+
+  /**
+   * With RESPECT_ROBOTS, whether robots.txt allows fetching a page or asset of
+   * the site; disallowed URLs are recorded as skipped.
+   */
+  checkRobots(url) {
+    if (!this.config.respectRobots || !this.isSameDomain(url)) return true;
+    const { allowed, rule } = this.robots.check(url, this.config.robotsUserAgent);
+    if (!allowed) this.skipUrl(url, `robots.txt: Disallow ${rule.path}`);
+    return allowed;
   }
 
   getDepthForUrl(url) {
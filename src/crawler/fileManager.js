@@ -7,14 +7,27 @@ const fs = require('fs-extra');
 const path = require('path');
 const crypto = require('crypto');
 const { URL } = require('url');
+const UrlCanonicalizer = require('./urlCanonicalizer');
+const ContentStore = require('./contentStore');
+const StaticSearch = require('../processor/staticSearch');
+const { formatContentDisposition } = require('../utils/helpers');
 
 class FileManager {
-  constructor(outputDir = '/output') {
+  /**
+   * @param {string} outputDir
+   * @param {object} [options]
+   * @param {boolean} [options.contentStore] Hardlink assets to the shared content store
+   */
+  constructor(outputDir = '/output', { contentStore = true } = {}) {
     this.outputDir = outputDir;
     this.snapshotDir = null;
+    this.store = contentStore ? new ContentStore(outputDir) : null;
+    // Content hash -> first saved copy, for assets saved in this snapshot
     this.assetMap = new Map();
     this.pageCount = 0;
     this.assetCount = 0;
+    // Per-URL record of what was saved where, with HTTP validators for incremental crawls
+    this.manifest = new Map();
   }
 
   initializeSnapshot() {
@@ -31,6 +44,29 @@ class FileManager {
     return this.snapshotDir;
   }
 
+  /**
+   * Reuse an existing snapshot directory (e.g. to resume an interrupted crawl).
+   * Accepts a snapshot name inside the output directory or an absolute path.
+   */
+  openSnapshot(name) {
+    const snapshotDir = path.isAbsolute(name) ? name : path.join(this.outputDir, name);
+    if (!fs.existsSync(snapshotDir) || !fs.statSync(snapshotDir).isDirectory()) {
+      throw new Error(`Snapshot not found: ${snapshotDir}`);
+    }
+
+    this.snapshotDir = snapshotDir;
+    console.log(`Reopened snapshot directory: ${this.snapshotDir}`);
+    return this.snapshotDir;
+  }
+
+  /**
+   * Carry over page/asset counts saved by an earlier run into this snapshot.
+   */
+  restoreCounts({ pages = 0, assets = 0 } = {}) {
+    this.pageCount += pages;
+    this.assetCount += assets;
+  }
+
   getTimestamp() {
     const now = new Date();
     const year = now.getFullYear();
@@ -47,21 +83,23 @@ class FileManager {
       throw new Error('Snapshot not initialized. Call initializeSnapshot() first.');
     }
 
-    const filePath = this.getPageFilePath(url);
+    const filePath = FileManager.getPageFilePath(url);
     const fullPath = path.join(this.snapshotDir, filePath);
 
-    fs.ensureDirSync(path.dirname(fullPath));
-    fs.writeFileSync(fullPath, html, 'utf-8');
+    this.writeFile(fullPath, html, 'utf-8');
 
     this.pageCount++;
     return { url, filePath, fullPath };
   }
 
-  getPageFilePath(url) {
+  /**
+   * Path of the saved page for url, relative to the snapshot directory.
+   */
+  static getPageFilePath(url) {
     try {
       const urlObj = new URL(url);
-      let pathname = urlObj.pathname;
-      pathname = pathname.replace(/\/$/, '') || '/';
+      // Query strings map onto distinct directories: /blog?page=2 -> blog/page/2/index.html
+      let pathname = UrlCanonicalizer.toStaticPath(url);
 
       if (pathname === '/') {
         return 'index.html';
@@ -69,7 +107,8 @@ class FileManager {
 
       pathname = pathname.substring(1);
 
-      if (path.extname(pathname)) {
+      // Only the original path can carry a file extension; query-derived segments never do
+      if (path.extname(urlObj.pathname)) {
         return pathname;
       }
 
@@ -100,25 +139,88 @@ class FileManager {
       return null;
     }
 
-    // Deduplicate by content hash
-    const contentHash = crypto.createHash('md5').update(fileBuffer).digest('hex');
-    if (this.assetMap.has(contentHash)) return this.assetMap.get(contentHash);
-
-    fs.ensureDirSync(path.dirname(fullPath));
-    fs.writeFileSync(fullPath, fileBuffer);
+    // The same content at a second path is still written there (the HTML points
+    // at both paths); with the content store both are links to one object
+    const contentHash = ContentStore.hash(fileBuffer);
+    this.placeAsset(fullPath, fileBuffer, contentHash);
 
     const result = { relPath: normalized, contentHash };
+    if (this.assetMap.has(contentHash)) {
+      return { ...result, duplicateOf: this.assetMap.get(contentHash).relPath };
+    }
     this.assetMap.set(contentHash, result);
     this.assetCount++;
     return result;
   }
 
+  // Write asset content, as a link into the content store when it is enabled
+  placeAsset(fullPath, fileBuffer, contentHash) {
+    if (this.store) {
+      this.store.link(contentHash, fileBuffer, fullPath);
+    } else {
+      this.writeFile(fullPath, fileBuffer);
+    }
+  }
+
+  /**
+   * Write a file, replacing (not overwriting in place) whatever is there.
+   * Files may be hardlinks shared with earlier snapshots, so writing through
+   * them would silently change those snapshots too.
+   */
+  writeFile(fullPath, data, encoding) {
+    fs.ensureDirSync(path.dirname(fullPath));
+    fs.removeSync(fullPath);
+    fs.writeFileSync(fullPath, data, encoding);
+  }
+
+  /**
+   * Reuse an unchanged file from another snapshot at the same relative path.
+   * Hardlinks when possible (no extra disk space), copies otherwise.
+   */
+  linkFromSnapshot(sourceSnapshotDir, relPath, kind = 'asset') {
+    if (!this.snapshotDir) {
+      throw new Error('Snapshot not initialized. Call initializeSnapshot() first.');
+    }
+
+    const normalized = path.normalize(relPath.replace(/^\//, ''));
+    const sourcePath = path.join(sourceSnapshotDir, normalized);
+    const fullPath = path.resolve(this.snapshotDir, normalized);
+    if (!fullPath.startsWith(path.resolve(this.snapshotDir) + path.sep)) {
+      console.warn(`Skipping file with unsafe path: ${relPath}`);
+      return null;
+    }
+
+    fs.ensureDirSync(path.dirname(fullPath));
+    fs.removeSync(fullPath);
+    try {
+      fs.linkSync(sourcePath, fullPath);
+    } catch (error) {
+      // Different filesystem or links not permitted
+      fs.copyFileSync(sourcePath, fullPath);
+    }
+
+    if (kind === 'page') {
+      this.pageCount++;
+    } else {
+      this.assetCount++;
+    }
+    return normalized;
+  }
+
+  /**
+   * Record where a URL was saved plus its ETag/Last-Modified validators.
+   * Stored in .metadata.json so the next incremental crawl can send conditional requests.
+   */
+  recordManifestEntry(url, entry) {
+    this.manifest.set(url, entry);
+  }
+
   saveAsset(assetUrl, fileBuffer, mimeType = 'application/octet-stream') {
     if (!this.snapshotDir) {
       throw new Error('Snapshot not initialized. Call initializeSnapshot() first.');
     }
 
-    const contentHash = crypto.createHash('md5').update(fileBuffer).digest('hex');
+    const contentHash = ContentStore.hash(fileBuffer);
 
     if (this.assetMap.has(contentHash)) {
       return this.assetMap.get(contentHash);
@@ -129,8 +231,7 @@ class FileManager {
     const filePath = path.join(destDir, filename);
     const fullPath = path.join(this.snapshotDir, filePath);
 
-    fs.ensureDirSync(path.dirname(fullPath));
-    fs.writeFileSync(fullPath, fileBuffer);
+    this.placeAsset(fullPath, fileBuffer, contentHash);
 
     const result = { assetUrl, filePath, contentHash };
     this.assetMap.set(contentHash, result);
@@ -199,6 +300,7 @@ class FileManager {
       pagesCount: this.pageCount,
       assetsCount: this.assetCount,
       ...metadata,
+      manifest: Object.fromEntries(this.manifest),
     };
 
     fs.writeFileSync(metadataFile, JSON.stringify(data, null, 2), 'utf-8');
@@ -206,19 +308,135 @@ class FileManager {
 
   /**
    * Write a _headers file for Cloudflare Pages / Netlify.
-   * Scans the snapshot for files with no extension (i.e. binary downloads saved
-   * without a filename like download_all_files/<nid>/field_attachment) and emits
-   * a header rule for each one so that static hosts serve them with the correct
-   * Content-Type and a download prompt instead of trying to render them.
+   * Binary downloads saved without a usable extension (like
+   * download_all_files/<nid>/field_attachment) get a rule each so static hosts
+   * serve them with the origin's Content-Type and download filename instead of
+   * trying to render them. See getDownloadRules().
    */
   saveHeadersFile() {
     if (!this.snapshotDir) throw new Error('Snapshot not initialized');
 
+    const rules = this.getDownloadRules();
+
+    const lines = [
+      '# Auto-generated — custom response headers for Cloudflare Pages / Netlify.',
+      '# Downloads are served with the Content-Type and Content-Disposition the origin sent.',
+      '',
+    ];
+
+    for (const rule of rules) {
+      lines.push(rule.path);
+      lines.push(`  Content-Type: ${rule.contentType}`);
+      lines.push(`  Content-Disposition: ${formatContentDisposition(rule.disposition, rule.filename)}`);
+      lines.push('');
+    }
+
+    fs.writeFileSync(path.join(this.snapshotDir, '_headers'), lines.join('\n'), 'utf-8');
+    console.log(`Wrote _headers (${rules.length} binary-download rules)`);
+  }
+
+  /**
+   * Header overrides for files a static host can't type from their name:
+   * extension-less assets and assets the origin sent a Content-Disposition for.
+   * Content-Type, disposition and download filename come from the manifest (the
+   * origin's real headers); extension-less files without a manifest entry fall
+   * back to a generic application/octet-stream attachment.
+   *
+   * @returns {{ path: string, contentType: string, disposition: string, filename: string|null }[]}
+   */
+  getDownloadRules() {
+    const rules = new Map();
+
+    this.manifest.forEach((entry) => {
+      if (entry.type !== 'asset' || !entry.filePath) return;
+      if (path.extname(entry.filePath) && !entry.contentDisposition) return;
+
+      const urlPath = '/' + entry.filePath.split(path.sep).join('/');
+      rules.set(urlPath, {
+        path: urlPath,
+        contentType: entry.contentType || 'application/octet-stream',
+        disposition: entry.contentDisposition || 'attachment',
+        filename: entry.filename || null,
+      });
+    });
+
+    this.findBinaryDownloads().forEach((urlPath) => {
+      if (rules.has(urlPath)) return;
+      rules.set(urlPath, {
+        path: urlPath,
+        contentType: 'application/octet-stream',
+        disposition: 'attachment',
+        filename: null,
+      });
+    });
+
+    return Array.from(rules.values());
+  }
+
+  /**
+   * Save the site's themed error page (already post-processed) as <status>.html
+   * in the snapshot root, where the host config files point.
+   */
+  saveErrorPage(status, html) {
+    if (!this.snapshotDir) {
+      throw new Error('Snapshot not initialized. Call initializeSnapshot() first.');
+    }
+
+    const filePath = `${status}.html`;
+    this.writeFile(path.join(this.snapshotDir, filePath), html, 'utf-8');
+    return filePath;
+  }
+
+  /**
+   * Create the static search page at searchUrl unless the crawl saved it,
+   * laid out like the saved home page. Returns true if it was created.
+   */
+  saveSearchPage(searchUrl) {
+    if (!this.snapshotDir) throw new Error('Snapshot not initialized');
+
+    const fullPath = path.join(this.snapshotDir, FileManager.getPageFilePath(searchUrl));
+    if (fs.existsSync(fullPath)) return false;
+
+    const homePath = path.join(this.snapshotDir, 'index.html');
+    const template = fs.existsSync(homePath) ? fs.readFileSync(homePath, 'utf-8') : '';
+    this.writeFile(fullPath, StaticSearch.createSearchPage(template), 'utf-8');
+    return true;
+  }
+
+  // Statuses with a saved <status>.html error page
+  getErrorPageStatuses() {
+    return [403, 404].filter((status) => fs.existsSync(path.join(this.snapshotDir, `${status}.html`)));
+  }
+
+  /**
+   * Write an Apache .htaccess with an ErrorDocument for each saved error page.
+   */
+  saveHtaccess() {
+    if (!this.snapshotDir) throw new Error('Snapshot not initialized');
+
+    const statuses = this.getErrorPageStatuses();
+    const lines = [
+      '# Auto-generated — Apache configuration for this snapshot.',
+      '',
+      ...statuses.map((status) => `ErrorDocument ${status} /${status}.html`),
+      '',
+    ];
+
+    fs.writeFileSync(path.join(this.snapshotDir, '.htaccess'), lines.join('\n'), 'utf-8');
+    console.log(`Wrote .htaccess (${statuses.length} error documents)`);
+  }
+
+  /**
+   * URL paths of extension-less files in the snapshot (binary downloads).
+   * Host config files and reports in the snapshot root are not downloads.
+   */
+  findBinaryDownloads() {
     const binaryPaths = [];
 
     const scan = (dir, relBase) => {
       for (const entry of fs.readdirSync(dir)) {
         if (entry.startsWith('.')) continue;
+        if (!relBase && FileManager.NON_SITE_FILES.includes(entry)) continue;
         const full = path.join(dir, entry);
         const rel  = path.join(relBase, entry);
         if (fs.statSync(full).isDirectory()) {
@@ -230,22 +448,190 @@ class FileManager {
     };
 
     scan(this.snapshotDir, '');
+    return binaryPaths;
+  }
+
+  // Host config and reports written into the snapshot root; not part of the site
+  static get NON_SITE_FILES() {
+    return ['_headers', '_redirects', 'nginx.conf', 'nginx-redirects.conf', 'crawl-report.json', 'crawl-report.xml'];
+  }
 
+  /**
+   * Write nginx.conf: a server block for serving this snapshot as-is with
+   * clean URLs (try_files), forced downloads for extension-less files, the
+   * recorded redirects, a custom 404 page and long-lived caching for static
+   * asset directories. Mount the snapshot at the root below (or change it).
+   *
+   * @param {object} options
+   * @param {string} [options.serverName] server_name (the crawled site's host)
+   * @param {object[]} [options.redirects] Resolved rules returned by saveRedirects()
+   */
+  saveNginxConfig({ serverName = '_', redirects = [] } = {}) {
+    if (!this.snapshotDir) throw new Error('Snapshot not initialized');
+
+    const downloads = this.getDownloadRules();
     const lines = [
-      '# Auto-generated — custom response headers for Cloudflare Pages / Netlify.',
-      '# Extension-less files are binary downloads; force a download prompt.',
+      '# Auto-generated — nginx server config for this snapshot.',
+      '# Copy to /etc/nginx/conf.d/ and point root at the snapshot (or output/latest).',
+      '',
+      'server {',
+      '    listen 80;',
+      `    server_name ${serverName};`,
+      '    root /usr/share/nginx/html;',
+      '    index index.html;',
+      '',
+      '    error_page 404 /404.html;',
+      ...this.getErrorPageStatuses().filter((status) => status !== 404)
+        .map((status) => `    error_page ${status} /${status}.html;`),
+      '',
+      '    # Crawl metadata, reports and host config files are not part of the site',
+      '    location ~ /\\.(?!well-known/) { return 404; }',
+      `    location ~ ^/(${FileManager.NON_SITE_FILES.map((name) => name.replace(/\./g, '\\.')).join('|')})$ { return 404; }`,
       '',
+      '    location / {',
+      '        try_files $uri $uri/ $uri/index.html =404;',
+      '    }',
+      '',
+      '    location ~ ^/(css|js|images|files)/ {',
+      '        try_files $uri =404;',
+      '        expires 30d;',
+      '        add_header Cache-Control "public";',
+      '    }',
     ];
 
-    for (const p of binaryPaths) {
-      lines.push(p);
-      lines.push('  Content-Type: application/octet-stream');
-      lines.push('  Content-Disposition: attachment');
-      lines.push('');
+    if (downloads.length > 0) {
+      lines.push('', '    # Downloads: the Content-Type and Content-Disposition the origin sent');
+      for (const rule of downloads) {
+        // nginx expands $variables in strings; drop a filename it would mangle
+        const filename = rule.filename && !rule.filename.includes('$') ? rule.filename : null;
+        lines.push(`    location = ${nginxString(rule.path)} {`);
+        lines.push('        types { }');
+        lines.push(`        default_type ${nginxString(rule.contentType)};`);
+        lines.push(`        add_header Content-Disposition ${nginxString(formatContentDisposition(rule.disposition, filename))};`);
+        lines.push('    }');
+      }
     }
 
-    fs.writeFileSync(path.join(this.snapshotDir, '_headers'), lines.join('\n'), 'utf-8');
-    console.log(`Wrote _headers (${binaryPaths.length} binary-download rules)`);
+    const redirectLines = this.getNginxRedirectLines(redirects);
+    if (redirectLines.length > 0) {
+      lines.push('', '    # Redirects recorded while crawling');
+      redirectLines.forEach((line) => lines.push(`    ${line}`));
+    }
+
+    lines.push('}', '');
+
+    fs.writeFileSync(path.join(this.snapshotDir, 'nginx.conf'), lines.join('\n'), 'utf-8');
+    console.log(`Wrote nginx.conf (${downloads.length} binary-download rules, ${redirectLines.length} redirects)`);
+  }
+
+  /**
+   * Keep old URLs working on the static host. From the redirects recorded while
+   * crawling ({ from, to, status, external }) write:
+   *   _redirects            Netlify / Cloudflare Pages
+   *   nginx-redirects.conf  nginx; include it inside the server block
+   *   meta-refresh stubs    at each old page path, for hosts without redirect rules
+   * Chains (/node/12 -> /about-us -> /about) are collapsed to their final target.
+   * Redirects to same-site URLs that were not saved are left out.
+   * Call after the manifest is complete.
+   */
+  saveRedirects(redirects) {
+    if (!this.snapshotDir) throw new Error('Snapshot not initialized');
+
+    const rules = this.resolveRedirects(redirects);
+
+    const netlify = [
+      '# Auto-generated — redirects recorded while crawling (Netlify / Cloudflare Pages).',
+      '# Old URLs with a query string are only covered by nginx-redirects.conf and the stubs.',
+      '# /404.html is served for missing pages automatically; a "/* /404.html 404" catch-all',
+      '# is deliberately not added, as Cloudflare Pages applies it even to existing files.',
+      '',
+    ];
+    const nginx = [
+      '# Auto-generated — redirects recorded while crawling.',
+      '# Include inside the server block: include /path/to/nginx-redirects.conf;',
+      '',
+    ];
+    let stubCount = 0;
+
+    for (const rule of rules) {
+      const source = new URL(rule.from);
+
+      if (!source.search) {
+        netlify.push(`${source.pathname} ${rule.target} ${rule.status}`);
+      }
+
+      // Stubs only stand in for pages; never replace a file that was actually saved
+      if (!path.extname(source.pathname)) {
+        const stubPath = path.join(this.snapshotDir, FileManager.getPageFilePath(rule.from));
+        if (!fs.existsSync(stubPath)) {
+          this.writeFile(stubPath, createRedirectStub(rule.target), 'utf-8');
+          stubCount++;
+        }
+      }
+    }
+
+    nginx.push(...this.getNginxRedirectLines(rules));
+
+    fs.writeFileSync(path.join(this.snapshotDir, '_redirects'), netlify.join('\n') + '\n', 'utf-8');
+    fs.writeFileSync(path.join(this.snapshotDir, 'nginx-redirects.conf'), nginx.join('\n') + '\n', 'utf-8');
+    console.log(`Wrote _redirects and nginx-redirects.conf (${rules.length} redirects, ${stubCount} stub pages)`);
+    return rules;
+  }
+
+  // nginx server-context rules for resolved redirects
+  getNginxRedirectLines(rules) {
+    const lines = [];
+    for (const rule of rules) {
+      const source = new URL(rule.from);
+      // nginx expands $variables inside strings and has no way to escape them
+      if (rule.target.includes('$') || source.href.includes('$')) continue;
+
+      const target = nginxString(rule.target);
+      if (source.search) {
+        lines.push(`if ($request_uri = ${nginxString(source.pathname + source.search)}) { return ${rule.status} ${target}; }`);
+      } else {
+        // location matching compares against the decoded path
+        lines.push(`location = ${nginxString(decodeURIComponent(source.pathname))} { return ${rule.status} ${target}; }`);
+      }
+    }
+    return lines;
+  }
+
+  /**
+   * [{ from, target, status }] with each chain followed to its end. target is the
+   * path the final page/asset was saved under, or the absolute URL of an external
+   * target. The status is the one the old URL answered with.
+   */
+  resolveRedirects(redirects) {
+    const byUrl = new Map(redirects.map((redirect) => [redirect.from, redirect]));
+    const rules = [];
+
+    for (const redirect of redirects) {
+      let final = redirect;
+      const seen = new Set([redirect.from]);
+      while (!final.external && byUrl.has(final.to) && !seen.has(final.to)) {
+        seen.add(final.to);
+        final = byUrl.get(final.to);
+      }
+
+      let target = null;
+      if (final.external) {
+        target = final.to;
+      } else if (this.manifest.has(final.to)) {
+        const entry = this.manifest.get(final.to);
+        target = entry.type === 'page'
+          ? UrlCanonicalizer.toStaticPath(final.to)
+          : '/' + entry.filePath.split(path.sep).join('/');
+      }
+
+      if (target) {
+        rules.push({ from: redirect.from, target, status: redirect.status });
+      } else {
+        console.warn(`Redirect target not saved, leaving out: ${redirect.from} -> ${final.to}`);
+      }
+    }
+
+    return rules;
   }
 
   /**
@@ -318,23 +704,76 @@ class FileManager {
     }
   }
 
+  /**
+   * Look up a snapshot from listSnapshots() by name; 'latest' is the target
+   * of the latest symlink. Returns null when there is no such snapshot.
+   */
+  static findSnapshot(snapshots, outputDir, name) {
+    let snapshotName = name;
+    if (name === 'latest') {
+      try {
+        snapshotName = path.basename(fs.realpathSync(path.join(outputDir, 'latest')));
+      } catch (error) {
+        return null;
+      }
+    }
+    return snapshots.find((snapshot) => snapshot.name === snapshotName) || null;
+  }
+
+  /**
+   * The URL path a saved page is served at (the inverse of getPageFilePath):
+   * about/index.html -> /about, index.html -> /
+   */
+  static getPageUrlPath(relativeFile) {
+    const urlPath = '/' + relativeFile.split(path.sep).join('/');
+    if (urlPath === '/index.html') return '/';
+    return urlPath.endsWith('/index.html') ? urlPath.slice(0, -'/index.html'.length) : urlPath;
+  }
+
+  // Apparent size: the sum of all file sizes, hardlinks counted every time
   static getDirectorySize(dir) {
-    let size = 0;
+    return FileManager.getDirectoryUsage(dir).apparent;
+  }
+
+  /**
+   * Apparent and real size of a directory. Real size counts each file (inode)
+   * once, however many hardlinks to it there are.
+   *
+   * Pass the same inodes map to several calls to account for files shared
+   * between directories: every inode records the owners linking to it, and
+   * real only grows for inodes not seen in an earlier call.
+   *
+   * @param {string} dir
+   * @param {Map<string, object>} [inodes] "dev:ino" -> { size, owners: Set<string> }
+   * @param {string} [owner] Name recorded for dir in inodes
+   * @returns {{ apparent: number, real: number }}
+   */
+  static getDirectoryUsage(dir, inodes = new Map(), owner = dir) {
+    const usage = { apparent: 0, real: 0 };
     try {
-      const files = fs.readdirSync(dir);
-      files.forEach((file) => {
+      fs.readdirSync(dir).forEach((file) => {
         const filePath = path.join(dir, file);
-        const stats = fs.statSync(filePath);
+        const stats = fs.lstatSync(filePath);
         if (stats.isDirectory()) {
-          size += FileManager.getDirectorySize(filePath);
-        } else {
-          size += stats.size;
+          const nested = FileManager.getDirectoryUsage(filePath, inodes, owner);
+          usage.apparent += nested.apparent;
+          usage.real += nested.real;
+          return;
         }
+        if (!stats.isFile()) return;
+
+        usage.apparent += stats.size;
+        const key = `${stats.dev}:${stats.ino}`;
+        if (!inodes.has(key)) {
+          inodes.set(key, { size: stats.size, owners: new Set() });
+          usage.real += stats.size;
+        }
+        inodes.get(key).owners.add(owner);
       });
     } catch (error) {
       console.warn(`Error calculating directory size: ${error.message}`);
     }
-    return size;
+    return usage;
   }
 
   static formatSize(bytes) {
@@ -349,4 +788,35 @@ class FileManager {
   }
 }
 
+function nginxString(value) {
+  return `"${value.replace(/["\\]/g, '\\$&')}"`;
+}
+
+function escapeHtml(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Minimal page that forwards browsers (and tells crawlers where the content lives)
+function createRedirectStub(target) {
+  const href = escapeHtml(target);
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Redirecting…</title>
+  <meta http-equiv="refresh" content="0; url=${href}">
+  <link rel="canonical" href="${href}">
+  <meta name="robots" content="noindex">
+</head>
+<body>
+  <p>This page has moved to <a href="${href}">${href}</a>.</p>
+</body>
+</html>
+`;
+}
+
 module.exports = FileManager;
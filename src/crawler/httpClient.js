@@ -0,0 +1,64 @@
+/**
+ * HTTP Client Factory
+ * Builds axios instances whose connections to SITE_HOST are pinned to SITE_IP
+ */
+
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+
+/**
+ * DNS override for the site host. Requests keep SITE_HOST in the URL, so the
+ * Host header, TLS SNI and certificate validation all still target SITE_HOST;
+ * only the address the socket dials is replaced with SITE_IP. SITE_IP may also
+ * be a hostname (e.g. a Docker service name), which is resolved normally.
+ */
+function createPinnedLookup(config) {
+  const pinnedHost = config.siteHostname.replace(/^www\./, '').toLowerCase();
+
+  return (hostname, options, callback) => {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+
+    const isSiteHost = hostname.replace(/^www\./, '').toLowerCase() === pinnedHost;
+    const target = isSiteHost ? config.siteIp : hostname;
+    const family = net.isIP(target);
+
+    if (!family) {
+      dns.lookup(target, options, callback);
+      return;
+    }
+
+    if (options.all) {
+      callback(null, [{ address: target, family }]);
+    } else {
+      callback(null, target, family);
+    }
+  };
+}
+
+function createHttpClient(config, options = {}) {
+  const lookup = createPinnedLookup(config);
+
+  return axios.create({
+    timeout: config.connectTimeout,
+    httpAgent: new http.Agent({ keepAlive: true, lookup }),
+    httpsAgent: new https.Agent({
+      keepAlive: true,
+      lookup,
+      // Self-signed origin certificates can't be validated; opt-in only.
+      rejectUnauthorized: !config.tlsInsecure,
+    }),
+    // axios drops the Authorization header when a redirect leaves the host
+    auth: config.basicAuthUser
+      ? { username: config.basicAuthUser, password: config.basicAuthPassword }
+      : undefined,
+    ...options,
+  });
+}
+
+module.exports = { createHttpClient, createPinnedLookup };
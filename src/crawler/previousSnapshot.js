@@ -0,0 +1,78 @@
+/**
+ * Previous Snapshot Reader
+ * Exposes the per-URL manifest of the snapshot 'latest' points to, so an
+ * incremental crawl can send conditional requests and reuse unchanged files
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+class PreviousSnapshot {
+  constructor(snapshotDir, manifest = {}) {
+    this.snapshotDir = snapshotDir;
+    this.manifest = new Map(Object.entries(manifest));
+  }
+
+  /**
+   * Load the snapshot the 'latest' symlink points to.
+   * Returns null when there is no previous snapshot or it has no manifest.
+   */
+  static load(outputDir) {
+    const latestPath = path.join(outputDir, 'latest');
+    if (!fs.existsSync(latestPath)) return null;
+
+    const snapshotDir = fs.realpathSync(latestPath);
+    const metadataFile = path.join(snapshotDir, '.metadata.json');
+    if (!fs.existsSync(metadataFile)) return null;
+
+    try {
+      const metadata = JSON.parse(fs.readFileSync(metadataFile, 'utf-8'));
+      if (!metadata.manifest) return null;
+      return new PreviousSnapshot(snapshotDir, metadata.manifest);
+    } catch (error) {
+      console.warn(`Unreadable metadata in previous snapshot: ${error.message}`);
+      return null;
+    }
+  }
+
+  get name() {
+    return path.basename(this.snapshotDir);
+  }
+
+  get size() {
+    return this.manifest.size;
+  }
+
+  /**
+   * Manifest entry for url, only if its file is still present in the previous snapshot.
+   */
+  get(url) {
+    const entry = this.manifest.get(url);
+    if (!entry || !entry.filePath) return null;
+    if (!fs.existsSync(this.getFullPath(entry))) return null;
+    return entry;
+  }
+
+  getFullPath(entry) {
+    return path.join(this.snapshotDir, entry.filePath);
+  }
+
+  getFileSize(entry) {
+    return fs.statSync(this.getFullPath(entry)).size;
+  }
+
+  /**
+   * If-None-Match / If-Modified-Since headers for url, or {} when nothing is stored.
+   */
+  getConditionalHeaders(url) {
+    const entry = this.get(url);
+    if (!entry) return {};
+
+    const headers = {};
+    if (entry.etag) headers['If-None-Match'] = entry.etag;
+    if (entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+    return headers;
+  }
+}
+
+module.exports = PreviousSnapshot;
@@ -0,0 +1,80 @@
+/**
+ * Per-host Token Bucket Rate Limiter
+ * Shared by page fetches and asset downloads so the origin sees one combined request rate,
+ * never faster than CRAWL_DELAY (or robots.txt Crawl-delay) between two requests
+ */
+
+const { URL } = require('url');
+
+class RateLimiter {
+  /**
+   * @param {object} options
+   * @param {number} options.rate  Sustained requests per second per host (0 = unlimited)
+   * @param {number} options.burst Requests allowed back-to-back before the rate applies
+   * @param {number} options.minInterval Minimum milliseconds between two requests to a host (0 = none)
+   */
+  constructor({ rate = 0, burst = 1, minInterval = 0 } = {}) {
+    this.rate = rate;
+    this.burst = Math.max(1, burst);
+    this.minInterval = Math.max(0, minInterval);
+    this.buckets = new Map();
+  }
+
+  getHost(url) {
+    try {
+      return new URL(url).host;
+    } catch (error) {
+      return '';
+    }
+  }
+
+  /**
+   * Raise the minimum interval (e.g. to a robots.txt Crawl-delay); never lowers it.
+   * Returns true if it changed.
+   */
+  raiseMinInterval(ms) {
+    if (!(ms > this.minInterval)) return false;
+    this.minInterval = ms;
+    return true;
+  }
+
+  /**
+   * Resolve once a request to url's host may be sent.
+   * Tokens and interval slots are reserved up front (the balance may go
+   * negative), so concurrent callers queue up fairly instead of racing for
+   * the next refill.
+   */
+  async acquire(url) {
+    if (this.rate <= 0 && this.minInterval <= 0) return;
+
+    const host = this.getHost(url);
+    const now = Date.now();
+    let bucket = this.buckets.get(host);
+    if (!bucket) {
+      bucket = { tokens: this.burst, updatedAt: now, nextSlot: now };
+      this.buckets.set(host, bucket);
+    }
+
+    let waitMs = 0;
+    if (this.rate > 0) {
+      const elapsed = (now - bucket.updatedAt) / 1000;
+      bucket.tokens = Math.min(this.burst, bucket.tokens + elapsed * this.rate);
+      bucket.updatedAt = now;
+      bucket.tokens -= 1;
+      if (bucket.tokens < 0) waitMs = Math.ceil((-bucket.tokens / this.rate) * 1000);
+    }
+
+    // The floor applies on top of the rate: no two requests closer than minInterval
+    if (this.minInterval > 0) {
+      const slot = Math.max(now + waitMs, bucket.nextSlot);
+      bucket.nextSlot = slot + this.minInterval;
+      waitMs = slot - now;
+    }
+
+    if (waitMs > 0) {
+      await new Promise((resolve) => setTimeout(resolve, waitMs));
+    }
+  }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,142 @@
+/**
+ * robots.txt Parser
+ * Extracts the directives the crawler uses from a site's /robots.txt:
+ * Sitemap lines, Allow/Disallow rules and Crawl-delay (RFC 9309 matching)
+ */
+
+const { URL } = require('url');
+
+class RobotsTxt {
+  constructor() {
+    this.sitemaps = [];
+    // [{ agents: ['*'], rules: [{ type: 'allow'|'disallow', path, pattern }], crawlDelay }]
+    this.groups = [];
+  }
+
+  static parse(text) {
+    const robots = new RobotsTxt();
+    let group = null;
+    // A run of consecutive User-agent lines shares the rules that follow it
+    let collectingAgents = false;
+
+    for (const rawLine of String(text || '').split(/\r?\n/)) {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const separator = line.indexOf(':');
+      if (separator === -1) continue;
+
+      const field = line.substring(0, separator).trim().toLowerCase();
+      const value = line.substring(separator + 1).trim();
+
+      switch (field) {
+        case 'sitemap':
+          if (value) robots.sitemaps.push(value);
+          break;
+        case 'user-agent':
+          if (!collectingAgents) {
+            group = { agents: [], rules: [], crawlDelay: null };
+            robots.groups.push(group);
+            collectingAgents = true;
+          }
+          group.agents.push(value.toLowerCase());
+          break;
+        case 'allow':
+        case 'disallow':
+          collectingAgents = false;
+          // An empty Disallow allows everything; nothing to record
+          if (group && value) {
+            group.rules.push({ type: field, path: value, pattern: RobotsTxt.compilePattern(value) });
+          }
+          break;
+        case 'crawl-delay': {
+          collectingAgents = false;
+          const delay = parseFloat(value);
+          if (group && delay >= 0) group.crawlDelay = delay;
+          break;
+        }
+        default:
+          break;
+      }
+    }
+
+    return robots;
+  }
+
+  /**
+   * robots.txt path pattern -> RegExp: '*' matches any run of characters and a
+   * trailing '$' anchors the end; everything else is a literal path prefix.
+   */
+  static compilePattern(rulePath) {
+    const anchored = rulePath.endsWith('$');
+    const body = anchored ? rulePath.slice(0, -1) : rulePath;
+    const source = body
+      .split('*')
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp(`^${source}${anchored ? '$' : ''}`);
+  }
+
+  /**
+   * The group that applies to userAgent: the longest User-agent token contained
+   * in our product name, falling back to the '*' group.
+   */
+  getGroup(userAgent) {
+    const name = userAgent.toLowerCase();
+    let best = null;
+    let bestLength = 0;
+    let wildcard = null;
+
+    for (const group of this.groups) {
+      for (const agent of group.agents) {
+        if (agent === '*') {
+          wildcard = wildcard || group;
+        } else if (name.includes(agent) && agent.length > bestLength) {
+          best = group;
+          bestLength = agent.length;
+        }
+      }
+    }
+
+    return best || wildcard;
+  }
+
+  /**
+   * @returns {{ allowed: boolean, rule: object|null }} The most specific (longest)
+   *   matching rule decides; on a tie Allow wins.
+   */
+  check(url, userAgent) {
+    const group = this.getGroup(userAgent);
+    if (!group) return { allowed: true, rule: null };
+
+    let target;
+    try {
+      const parsed = new URL(url);
+      target = parsed.pathname + parsed.search;
+    } catch (error) {
+      return { allowed: true, rule: null };
+    }
+
+    let match = null;
+    for (const rule of group.rules) {
+      if (!rule.pattern.test(target)) continue;
+      if (!match
+        || rule.path.length > match.path.length
+        || (rule.path.length === match.path.length && rule.type === 'allow')) {
+        match = rule;
+      }
+    }
+
+    return { allowed: !match || match.type === 'allow', rule: match };
+  }
+
+  isAllowed(url, userAgent) {
+    return this.check(url, userAgent).allowed;
+  }
+
+  // Seconds, or null when the applicable group sets no Crawl-delay
+  getCrawlDelay(userAgent) {
+    const group = this.getGroup(userAgent);
+    return group ? group.crawlDelay : null;
+  }
+}
+
+module.exports = RobotsTxt;
@@ -0,0 +1,42 @@
+/**
+ * Sitemap Parser
+ * Reads sitemap.xml documents, including the sitemap indexes produced by
+ * Drupal's simple_sitemap and xmlsitemap modules
+ */
+
+const zlib = require('zlib');
+const cheerio = require('cheerio');
+
+class Sitemap {
+  /**
+   * @param {Buffer|string} body Raw response body; gzipped sitemaps (.xml.gz) are inflated
+   * @returns {{ type: 'sitemapindex'|'urlset'|'unknown', locs: string[] }}
+   */
+  static parse(body) {
+    let xml = body;
+    if (Buffer.isBuffer(body)) {
+      // gzip magic bytes: served as application/x-gzip rather than Content-Encoding
+      xml = body[0] === 0x1f && body[1] === 0x8b
+        ? zlib.gunzipSync(body).toString('utf-8')
+        : body.toString('utf-8');
+    }
+
+    const $ = cheerio.load(xml, { xmlMode: true });
+    const isIndex = $('sitemapindex').length > 0;
+    const isUrlset = $('urlset').length > 0;
+    const selector = isIndex ? 'sitemapindex > sitemap > loc' : 'urlset > url > loc';
+
+    const locs = [];
+    $(selector).each((_, elem) => {
+      const loc = $(elem).text().trim();
+      if (loc) locs.push(loc);
+    });
+
+    return {
+      type: isIndex ? 'sitemapindex' : (isUrlset ? 'urlset' : 'unknown'),
+      locs,
+    };
+  }
+}
+
+module.exports = Sitemap;
@@ -0,0 +1,120 @@
+/**
+ * URL Canonicalizer
+ * Collapses equivalent Drupal URLs onto one canonical form and maps meaningful
+ * query strings onto distinct static paths (/blog?page=2 -> /blog/page/2)
+ */
+
+const path = require('path');
+const { URL } = require('url');
+
+// Analytics/ad click parameters that never change page content
+const TRACKING_PARAMS = [
+  /^utm_/i,
+  /^fbclid$/i,
+  /^gclid$/i,
+  /^dclid$/i,
+  /^msclkid$/i,
+  /^yclid$/i,
+  /^mc_cid$/i,
+  /^mc_eid$/i,
+  /^_ga$/i,
+  /^_gl$/i,
+  /^igshid$/i,
+];
+
+class UrlCanonicalizer {
+  /**
+   * @param {object} [options]
+   * @param {string[]} [options.stripParams] Extra query parameters to drop (e.g. from STRIP_QUERY_PARAMS)
+   */
+  constructor({ stripParams = [] } = {}) {
+    const extra = stripParams.map((name) => name.toLowerCase());
+    this.isStripped = (name) =>
+      TRACKING_PARAMS.some((pattern) => pattern.test(name)) || extra.includes(name.toLowerCase());
+  }
+
+  /**
+   * Canonical form of a page URL:
+   * - fragment removed
+   * - index.php?q=node/1 and /?q=node/1 collapsed to /node/1
+   * - tracking parameters and ?page=0 (Drupal's first page) removed
+   * - remaining query keys sorted
+   * - trailing slash removed (except for the root)
+   * Unparseable input is returned unchanged.
+   */
+  canonicalize(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return url;
+    }
+
+    parsed.hash = '';
+
+    // Drupal without clean URLs
+    const params = parsed.searchParams;
+    if (/^\/(index\.php)?$/.test(parsed.pathname) && params.has('q')) {
+      parsed.pathname = '/' + params.get('q').replace(/^\/+/, '');
+      params.delete('q');
+    } else if (parsed.pathname === '/index.php') {
+      parsed.pathname = '/';
+    }
+
+    const kept = [];
+    params.forEach((value, name) => {
+      if (this.isStripped(name)) return;
+      if (name === 'page' && value === '0') return;
+      kept.push([name, value]);
+    });
+    kept.sort(([a, aValue], [b, bValue]) => (a === b ? compare(aValue, bValue) : compare(a, b)));
+    parsed.search = kept.length > 0 ? '?' + new URLSearchParams(kept).toString() : '';
+
+    if (parsed.pathname.length > 1) {
+      parsed.pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+    }
+
+    return parsed.href;
+  }
+
+  /**
+   * Root-relative static path a page URL is saved under. Each query parameter
+   * of the (already canonical) URL becomes a /<name>/<value> pair, in order:
+   *   /blog?page=2            -> /blog/page/2
+   *   /events?type=talk&y=2024 -> /events/type/talk/y/2024
+   * URLs without a query string (or with a file extension) keep their path.
+   */
+  static toStaticPath(url) {
+    const parsed = new URL(url);
+    const pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+
+    if (!parsed.search || path.extname(pathname)) {
+      return pathname;
+    }
+
+    const segments = [];
+    parsed.searchParams.forEach((value, name) => {
+      segments.push(UrlCanonicalizer.toPathSegment(name), UrlCanonicalizer.toPathSegment(value));
+    });
+
+    return (pathname === '/' ? '' : pathname) + '/' + segments.join('/');
+  }
+
+  /**
+   * Filesystem- and URL-safe path segment. '%' escapes become '~', which web
+   * servers do not decode, so the saved file name and the link always agree.
+   */
+  static toPathSegment(value) {
+    if (value === '') return '_';
+    return encodeURIComponent(value)
+      .replace(/%/g, '~')
+      .replace(/^\./, '~2E');
+  }
+}
+
+function compare(a, b) {
+  if (a < b) return -1;
+  return a > b ? 1 : 0;
+}
+
+module.exports = UrlCanonicalizer;
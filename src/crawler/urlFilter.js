@@ -0,0 +1,130 @@
+/**
+ * URL Scope Filter
+ * INCLUDE_PATTERNS / EXCLUDE_PATTERNS and pager limits for the crawl frontier,
+ * with a per-rule count of how many URLs each rule filtered out
+ */
+
+const { URL } = require('url');
+
+class UrlFilter {
+  /**
+   * @param {object} options
+   * @param {string[]} options.include  Only URLs matching one of these are crawled (empty = all)
+   * @param {string[]} options.exclude  URLs matching any of these are never crawled
+   * @param {number} options.maxPagerPage Highest Drupal ?page=N to follow (0 = unlimited)
+   */
+  constructor({ include = [], exclude = [], maxPagerPage = 0 } = {}) {
+    this.include = include.map((pattern) => UrlFilter.compile(pattern));
+    this.exclude = exclude.map((pattern) => UrlFilter.compile(pattern));
+    this.maxPagerPage = maxPagerPage;
+    this.counts = new Map();
+  }
+
+  static fromConfig(config) {
+    return new UrlFilter({
+      include: config.includePatterns,
+      exclude: config.excludePatterns,
+      maxPagerPage: config.maxPagerPage,
+    });
+  }
+
+  /**
+   * Split a pattern list on commas/whitespace, leaving commas inside regex
+   * quantifiers such as {1,3} alone.
+   */
+  static parseList(value) {
+    const patterns = [];
+    let current = '';
+    let braceDepth = 0;
+
+    for (const char of String(value || '')) {
+      if (char === '{') braceDepth++;
+      if (char === '}') braceDepth = Math.max(0, braceDepth - 1);
+
+      if (braceDepth === 0 && (char === ',' || /\s/.test(char))) {
+        if (current) patterns.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    if (current) patterns.push(current);
+
+    return patterns;
+  }
+
+  /**
+   * 're:<regex>' is a regular expression searched in path + query string.
+   * Anything else is a glob matched against the whole path, plus the query
+   * string if the glob contains a literal '?': '**' matches anything, '*'
+   * anything except '/'; other characters are literal. A query string after
+   * the matched part is always allowed (/blog matches /blog?page=2), and a
+   * trailing '/' makes the glob a section prefix (/blog/ matches /blog,
+   * /blog/ and everything below it).
+   */
+  static compile(pattern) {
+    if (pattern.startsWith('re:')) {
+      return { source: pattern, regex: new RegExp(pattern.substring(3)) };
+    }
+
+    const section = pattern.length > 1 && pattern.endsWith('/');
+    const glob = section ? pattern.slice(0, -1) : pattern;
+    const regexSource = glob
+      .split('**')
+      .map((part) => part
+        .split('*')
+        .map((literal) => literal.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('[^/]*'))
+      .join('.*');
+    const tail = section ? '(?:[/?].*)?' : '(?:\\?.*)?';
+    return { source: pattern, regex: new RegExp(`^${regexSource}${tail}$`) };
+  }
+
+  static getTarget(url) {
+    const parsed = new URL(url);
+    return parsed.pathname + parsed.search;
+  }
+
+  /**
+   * @returns {string|null} The rule that filters url out, or null if it may be crawled.
+   */
+  check(url) {
+    let target;
+    try {
+      target = UrlFilter.getTarget(url);
+    } catch (error) {
+      return null;
+    }
+
+    const rule = this.findRule(url, target);
+    if (rule) this.counts.set(rule, (this.counts.get(rule) || 0) + 1);
+    return rule;
+  }
+
+  findRule(url, target) {
+    for (const pattern of this.exclude) {
+      if (pattern.regex.test(target)) return `EXCLUDE_PATTERNS ${pattern.source}`;
+    }
+
+    if (this.include.length > 0 && !this.include.some((pattern) => pattern.regex.test(target))) {
+      return 'INCLUDE_PATTERNS (no match)';
+    }
+
+    if (this.maxPagerPage > 0) {
+      // Drupal pagers use ?page=N, or ?page=0,N when a page has several pagers
+      const page = new URL(url).searchParams.get('page');
+      if (page && page.split(',').some((n) => parseInt(n, 10) > this.maxPagerPage)) {
+        return `MAX_PAGER_PAGE ${this.maxPagerPage}`;
+      }
+    }
+
+    return null;
+  }
+
+  // { rule: count } for every rule that filtered at least one URL
+  getSummary() {
+    return Object.fromEntries(this.counts);
+  }
+}
+
+module.exports = UrlFilter;
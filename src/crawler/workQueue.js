@@ -0,0 +1,96 @@
+/**
+ * FIFO Work Queue
+ * O(1) push/shift queue drained by a pool of concurrent async workers
+ */
+
+class WorkQueue {
+  constructor() {
+    this.items = [];
+    this.head = 0;
+    this.closed = false;
+    this.waiters = [];
+  }
+
+  get size() {
+    return this.items.length - this.head;
+  }
+
+  push(item) {
+    this.items.push(item);
+    this.notify();
+  }
+
+  shift() {
+    if (this.size === 0) return undefined;
+
+    const item = this.items[this.head];
+    this.items[this.head] = undefined;
+    this.head++;
+
+    // Compact once the consumed prefix dominates, so memory stays proportional to the backlog
+    if (this.head > 1024 && this.head * 2 > this.items.length) {
+      this.items = this.items.slice(this.head);
+      this.head = 0;
+    }
+
+    return item;
+  }
+
+  /**
+   * No further items will be pushed from outside; workers exit once the backlog
+   * is drained and no handler is in flight (handlers may still push follow-ups).
+   */
+  close() {
+    this.closed = true;
+    this.notify();
+  }
+
+  notify() {
+    this.waiters.splice(0).forEach((resolve) => resolve());
+  }
+
+  /**
+   * Drain the queue with `concurrency` workers calling `handler(item)`.
+   * Handlers may push more items while running. Resolves when the queue is empty
+   * and no handler is in flight (with autoClose false, only after close() too),
+   * or as soon as shouldStop() returns true.
+   */
+  async run(concurrency, handler, { autoClose = true, shouldStop = () => false } = {}) {
+    let active = 0;
+
+    const worker = async () => {
+      for (;;) {
+        if (shouldStop()) {
+          this.notify();
+          return;
+        }
+
+        if (this.size === 0) {
+          if ((this.closed || autoClose) && active === 0) {
+            this.notify();
+            return;
+          }
+          await new Promise((resolve) => this.waiters.push(resolve));
+          continue;
+        }
+
+        const item = this.shift();
+        active++;
+        try {
+          await handler(item);
+        } finally {
+          active--;
+          if (active === 0) this.notify();
+        }
+      }
+    };
+
+    const workers = [];
+    for (let i = 0; i < Math.max(1, concurrency); i++) {
+      workers.push(worker());
+    }
+    await Promise.all(workers);
+  }
+}
+
+module.exports = WorkQueue;
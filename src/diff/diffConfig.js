@@ -0,0 +1,39 @@
+/**
+ * Diff Mode Configuration
+ * Which snapshots to compare and where to write the report, from environment variables
+ */
+
+const path = require('path');
+
+class DiffConfig {
+  constructor(env = process.env) {
+    this.outputDir = env.OUTPUT_DIR || '/output';
+    // Snapshot names or 'latest'; by default the newest snapshot against the one before it
+    this.from = env.DIFF_FROM || '';
+    this.to = env.DIFF_TO || '';
+
+    // diff-<from>_<to>.json and .txt are written here
+    this.reportDir = env.DIFF_REPORT_DIR || path.join(this.outputDir, 'reports');
+    // Unchanged lines shown around each change in page diffs
+    this.context = parseInt(env.DIFF_CONTEXT || '3', 10);
+
+    this.validate();
+  }
+
+  validate() {
+    if (!(this.context >= 0)) throw new Error('DIFF_CONTEXT must be >= 0');
+    if (this.from && this.from === this.to) throw new Error('DIFF_FROM and DIFF_TO name the same snapshot');
+  }
+
+  toString() {
+    return `DiffConfig {
+  outputDir: ${this.outputDir}
+  from: ${this.from || 'previous'}
+  to: ${this.to || 'newest'}
+  reportDir: ${this.reportDir}
+  context: ${this.context}
+}`;
+  }
+}
+
+module.exports = DiffConfig;
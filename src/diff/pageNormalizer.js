@@ -0,0 +1,87 @@
+/**
+ * Page Normalizer
+ * Reduces a saved page to comparable lines, dropping what changes on every
+ * crawl without being content: Drupal form tokens, cache-busting query
+ * strings and timestamps
+ */
+
+const cheerio = require('cheerio');
+
+// Hidden inputs regenerated on every page build
+const TOKEN_INPUTS = ['form_build_id', 'form_token'];
+
+// Query parameters used only to bust caches (Drupal image style tokens, version stamps)
+const CACHE_BUSTING_PARAMS = new Set(['itok', 'v', 'ver', 'version', 't', 'ts', 'timestamp', '_', 'cb', 'h']);
+
+// ISO 8601 dates with a time, as in <time datetime> and JSON
+const ISO_TIMESTAMP = /\b\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?\b/g;
+// RFC 1123 dates, as in Last-Modified style footers
+const HTTP_DATE = /\b(?:Mon|Tue|Wed|Thu|Fri|Sat|Sun), \d{2} (?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec) \d{4} \d{2}:\d{2}:\d{2} GMT\b/g;
+// Unix timestamps (2001-2286) inside attribute values
+const UNIX_TIMESTAMP = /\b[1-9]\d{9}\b/g;
+
+const URL_ATTRIBUTES = ['href', 'src', 'srcset', 'poster', 'data', 'action'];
+
+class PageNormalizer {
+  /**
+   * Normalized markup of a page, one tag or text run per line.
+   * @param {string} html
+   * @returns {string[]}
+   */
+  static normalize(html) {
+    const $ = cheerio.load(html);
+
+    TOKEN_INPUTS.forEach((name) => $(`input[name="${name}"]`).remove());
+    // drupalSettings carries tokens, library lists and hashes that change every build
+    $('script[data-drupal-selector="drupal-settings-json"]').remove();
+    $('meta[name="csrf-token"]').remove();
+
+    $('*').each((_, elem) => {
+      for (const [name, value] of Object.entries(elem.attribs || {})) {
+        let normalized = URL_ATTRIBUTES.includes(name)
+          ? PageNormalizer.stripCacheBusting(value, name === 'srcset')
+          : value;
+        normalized = PageNormalizer.maskTimestamps(normalized).replace(UNIX_TIMESTAMP, '[timestamp]');
+        if (normalized !== value) $(elem).attr(name, normalized);
+      }
+    });
+
+    return PageNormalizer.maskTimestamps($.html())
+      .replace(/>\s*</g, '>\n<')
+      .split('\n')
+      .map((line) => line.replace(/\s+/g, ' ').trim())
+      .filter(Boolean);
+  }
+
+  static maskTimestamps(value) {
+    return value.replace(ISO_TIMESTAMP, '[timestamp]').replace(HTTP_DATE, '[timestamp]');
+  }
+
+  /**
+   * Drop cache-busting query parameters from a URL attribute, including
+   * Drupal's bare css/js query string (style.css?t4x9zq).
+   */
+  static stripCacheBusting(value, isSrcset = false) {
+    if (isSrcset) {
+      return value.split(/(\s+|,)/).map((part) => PageNormalizer.stripCacheBusting(part)).join('');
+    }
+
+    const queryStart = value.indexOf('?');
+    if (queryStart === -1) return value;
+
+    const hashStart = value.indexOf('#', queryStart);
+    const base = value.slice(0, queryStart);
+    const query = value.slice(queryStart + 1, hashStart === -1 ? undefined : hashStart);
+    const hash = hashStart === -1 ? '' : value.slice(hashStart);
+
+    const kept = query.split('&').filter((pair) => {
+      if (!pair) return false;
+      if (!pair.includes('=')) return !/^[a-z0-9]{6,}$/i.test(pair);
+      return !CACHE_BUSTING_PARAMS.has(pair.slice(0, pair.indexOf('=')).toLowerCase());
+    });
+
+    return base + (kept.length > 0 ? `?${kept.join('&')}` : '') + hash;
+  }
+}
+
+module.exports = PageNormalizer;
@@ -0,0 +1,218 @@
+/**
+ * Snapshot Diff
+ * Lists pages and assets added, removed and changed between two snapshots,
+ * with a normalized text diff of every changed page
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const FileManager = require('../crawler/fileManager');
+const SearchIndex = require('../processor/searchIndex');
+const PageNormalizer = require('./pageNormalizer');
+const { diffLines, formatUnifiedDiff } = require('../utils/textDiff');
+
+// Pages this different are reported as changed without a line diff
+const MAX_DIFF_EDITS = 2000;
+
+// Root files built from the saved pages: they change whenever a page does
+const GENERATED_FILES = [SearchIndex.FILENAME];
+
+class SnapshotDiff {
+  /**
+   * @param {object} from   Older snapshot ({ name, path } from listSnapshots())
+   * @param {object} to     Newer snapshot
+   * @param {object} [options]
+   * @param {number} [options.context] Unchanged lines shown around each change
+   */
+  constructor(from, to, { context = 3 } = {}) {
+    this.from = from;
+    this.to = to;
+    this.context = context;
+    this.pages = { added: [], removed: [], changed: [], unchanged: 0 };
+    this.assets = { added: [], removed: [], changed: [], unchanged: 0 };
+  }
+
+  /**
+   * Site files of a snapshot keyed by relative path; crawl metadata, dotfiles,
+   * the host config/report files and files generated from the pages (the
+   * search index) in the root are not compared.
+   */
+  static listSiteFiles(snapshotDir, relDir = '') {
+    const files = new Map();
+    for (const entry of fs.readdirSync(path.join(snapshotDir, relDir))) {
+      if (entry.startsWith('.')) continue;
+      if (!relDir && (FileManager.NON_SITE_FILES.includes(entry) || GENERATED_FILES.includes(entry))) continue;
+
+      const relPath = relDir ? path.join(relDir, entry) : entry;
+      const stats = fs.statSync(path.join(snapshotDir, relPath));
+      if (stats.isDirectory()) {
+        SnapshotDiff.listSiteFiles(snapshotDir, relPath).forEach((size, file) => files.set(file, size));
+      } else {
+        files.set(relPath, stats.size);
+      }
+    }
+    return files;
+  }
+
+  static hashFile(file) {
+    return crypto.createHash('md5').update(fs.readFileSync(file)).digest('hex');
+  }
+
+  compare() {
+    const before = SnapshotDiff.listSiteFiles(this.from.path);
+    const after = SnapshotDiff.listSiteFiles(this.to.path);
+    const isPage = (relPath) => relPath.endsWith('.html');
+    const describe = (relPath, size) => (isPage(relPath)
+      ? { url: FileManager.getPageUrlPath(relPath), file: relPath, size }
+      : { path: '/' + relPath.split(path.sep).join('/'), file: relPath, size });
+
+    after.forEach((size, relPath) => {
+      const group = isPage(relPath) ? this.pages : this.assets;
+      if (!before.has(relPath)) {
+        group.added.push(describe(relPath, size));
+        return;
+      }
+
+      const oldSize = before.get(relPath);
+      const fromFile = path.join(this.from.path, relPath);
+      const toFile = path.join(this.to.path, relPath);
+      if (oldSize === size && SnapshotDiff.hashFile(fromFile) === SnapshotDiff.hashFile(toFile)) {
+        group.unchanged++;
+        return;
+      }
+
+      if (isPage(relPath)) {
+        const change = this.comparePage(relPath, fromFile, toFile);
+        if (change) this.pages.changed.push({ ...change, sizeBefore: oldSize, sizeAfter: size });
+        else this.pages.unchanged++;
+      } else {
+        this.assets.changed.push({ ...describe(relPath, size), sizeBefore: oldSize, sizeAfter: size });
+      }
+    });
+
+    before.forEach((size, relPath) => {
+      if (!after.has(relPath)) {
+        (isPage(relPath) ? this.pages : this.assets).removed.push(describe(relPath, size));
+      }
+    });
+
+    const byName = (a, b) => a.file.localeCompare(b.file);
+    [this.pages, this.assets].forEach((group) => {
+      group.added.sort(byName);
+      group.removed.sort(byName);
+      group.changed.sort(byName);
+    });
+    return this;
+  }
+
+  /**
+   * Normalized diff of a page whose bytes differ; null when only tokens,
+   * cache-busting strings or timestamps changed.
+   */
+  comparePage(relPath, fromFile, toFile) {
+    const oldLines = PageNormalizer.normalize(fs.readFileSync(fromFile, 'utf-8'));
+    const newLines = PageNormalizer.normalize(fs.readFileSync(toFile, 'utf-8'));
+    if (oldLines.length === newLines.length && oldLines.every((line, index) => line === newLines[index])) {
+      return null;
+    }
+
+    const url = FileManager.getPageUrlPath(relPath);
+    const ops = diffLines(oldLines, newLines, { maxEdits: MAX_DIFF_EDITS });
+    if (!ops) {
+      return { url, file: relPath, linesAdded: null, linesRemoved: null, diff: null };
+    }
+
+    return {
+      url,
+      file: relPath,
+      linesAdded: ops.filter((op) => op.type === 'add').length,
+      linesRemoved: ops.filter((op) => op.type === 'remove').length,
+      diff: formatUnifiedDiff(ops, {
+        fromLabel: `${this.from.name}/${relPath}`,
+        toLabel: `${this.to.name}/${relPath}`,
+        context: this.context,
+      }),
+    };
+  }
+
+  getSummary() {
+    const count = (group) => ({
+      added: group.added.length,
+      removed: group.removed.length,
+      changed: group.changed.length,
+      unchanged: group.unchanged,
+    });
+    return { pages: count(this.pages), assets: count(this.assets) };
+  }
+
+  hasChanges() {
+    return [this.pages, this.assets].some((group) =>
+      group.added.length + group.removed.length + group.changed.length > 0);
+  }
+
+  toJSON() {
+    return {
+      from: this.from.name,
+      to: this.to.name,
+      generatedAt: new Date().toISOString(),
+      summary: this.getSummary(),
+      pages: this.pages,
+      assets: this.assets,
+    };
+  }
+
+  /**
+   * Human-readable summary followed by the diff of every changed page.
+   * @param {object} [options]
+   * @param {number} [options.limit] Entries listed per section (the rest are counted)
+   * @param {boolean} [options.diffs] Include the page diffs
+   */
+  toText({ limit = Infinity, diffs = true } = {}) {
+    const summary = this.getSummary();
+    const lines = [
+      `Snapshot diff: ${this.from.name} -> ${this.to.name}`,
+      '',
+      `Pages:  ${summary.pages.added} added, ${summary.pages.removed} removed, ${summary.pages.changed} changed, ${summary.pages.unchanged} unchanged`,
+      `Assets: ${summary.assets.added} added, ${summary.assets.removed} removed, ${summary.assets.changed} changed, ${summary.assets.unchanged} unchanged`,
+    ];
+
+    const section = (title, entries, format) => {
+      if (entries.length === 0) return;
+      lines.push('', `${title} (${entries.length}):`);
+      entries.slice(0, limit).forEach((entry) => lines.push(`  ${format(entry)}`));
+      if (entries.length > limit) lines.push(`  ... and ${entries.length - limit} more`);
+    };
+    const sizeChange = (entry) => `${FileManager.formatSize(entry.sizeBefore)} -> ${FileManager.formatSize(entry.sizeAfter)}`;
+
+    section('Added pages', this.pages.added, (entry) => `+ ${entry.url}`);
+    section('Removed pages', this.pages.removed, (entry) => `- ${entry.url}`);
+    section('Changed pages', this.pages.changed, (entry) => (entry.diff === null
+      ? `~ ${entry.url} (rewritten)`
+      : `~ ${entry.url} (+${entry.linesAdded} -${entry.linesRemoved} lines)`));
+    section('Added assets', this.assets.added, (entry) => `+ ${entry.path} (${FileManager.formatSize(entry.size)})`);
+    section('Removed assets', this.assets.removed, (entry) => `- ${entry.path}`);
+    section('Changed assets', this.assets.changed, (entry) => `~ ${entry.path} (${sizeChange(entry)})`);
+
+    if (diffs) {
+      this.pages.changed.filter((entry) => entry.diff).forEach((entry) => {
+        lines.push('', entry.diff.trimEnd());
+      });
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Write diff-<from>_<to>.json and .txt into reportDir; returns the file paths.
+   */
+  save(reportDir) {
+    fs.ensureDirSync(reportDir);
+    const base = path.join(reportDir, `diff-${this.from.name}_${this.to.name}`);
+    fs.writeFileSync(`${base}.json`, JSON.stringify(this.toJSON(), null, 2), 'utf-8');
+    fs.writeFileSync(`${base}.txt`, this.toText(), 'utf-8');
+    return [`${base}.json`, `${base}.txt`];
+  }
+}
+
+module.exports = SnapshotDiff;
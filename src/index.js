@@ -9,7 +9,7 @@ const Logger = require('./utils/logger');
 
 const logger = new Logger('main');
 
-const VALID_MODES = ['crawl', 'verify', 'clean'];
+const VALID_MODES = ['crawl', 'verify', 'clean', 'diff'];
 
 async function main() {
   const mode = (process.env.MODE || 'crawl').toLowerCase();
@@ -41,6 +41,11 @@ async function main() {
         exitCode = await runClean();
         break;
       }
+      case 'diff': {
+        const { runDiff } = require('./modes/diff');
+        exitCode = await runDiff();
+        break;
+      }
     }
   } catch (error) {
     logger.error(`Unhandled error in mode "${mode}":`, error.message);
@@ -1,11 +1,17 @@
 /**
  * Clean Mode - List snapshots and remove temp files
- * IMPORTANT: Does NOT delete snapshots - those are kept indefinitely for manual management
+ * IMPORTANT: Snapshots are only deleted when a RETENTION_* policy is configured,
+ * and never the one 'latest' points to
  */
 
 const fs = require('fs-extra');
 const path = require('path');
 const FileManager = require('../crawler/fileManager');
+const CrawlJournal = require('../crawler/crawlJournal');
+const ContentStore = require('../crawler/contentStore');
+const CleanConfig = require('../clean/cleanConfig');
+const RetentionPolicy = require('../clean/retentionPolicy');
+const DiskUsage = require('../clean/diskUsage');
 const Logger = require('../utils/logger');
 
 const logger = new Logger('clean');
@@ -21,7 +27,14 @@ const TEMP_PATTERNS = [
 async function runClean() {
   logger.info('Starting clean mode...');
 
-  const outputDir = process.env.OUTPUT_DIR || '/output';
+  let config;
+  try {
+    config = new CleanConfig();
+  } catch (err) {
+    logger.error(`Configuration error: ${err.message}`);
+    return 1;
+  }
+  const outputDir = config.outputDir;
 
   if (!fs.existsSync(outputDir)) {
     logger.warn(`Output directory does not exist: ${outputDir}`);
@@ -52,8 +65,26 @@ async function runClean() {
     console.log('No temporary files found to remove.');
   }
 
+  const latestName = getLatestSnapshotName(outputDir);
+
+  let failed = 0;
+  if (config.hasRetentionPolicy()) {
+    logger.info(config.toString());
+    const candidates = FileManager.listSnapshots(outputDir);
+    failed = applyRetention(config, candidates, latestName, DiskUsage.measure(outputDir, candidates));
+  }
+
+  // Store objects no snapshot links to any more (deleted above or removed by hand)
+  if (!config.dryRun) {
+    const collected = new ContentStore(outputDir).gc();
+    if (collected.objects > 0) {
+      logger.info(`Content store: removed ${collected.objects} unreferenced object(s), ${FileManager.formatSize(collected.bytes)}`);
+    }
+  }
+
   // List all snapshots
   const snapshots = FileManager.listSnapshots(outputDir);
+  const usage = DiskUsage.measure(outputDir, snapshots);
 
   console.log('\n=== Available Snapshots ===');
 
@@ -64,8 +95,9 @@ async function runClean() {
     console.log(`Found ${snapshots.length} snapshot(s):\n`);
 
     snapshots.forEach((snapshot, index) => {
-      const sizeStr = FileManager.formatSize(snapshot.size);
-      const isLatest = index === 0 ? ' [LATEST]' : '';
+      const { apparent, exclusive } = usage.snapshots.get(snapshot.name);
+      const sizeStr = `${FileManager.formatSize(apparent)} apparent, ${FileManager.formatSize(exclusive)} not shared with other snapshots`;
+      const isLatest = snapshot.name === latestName ? ' [LATEST]' : '';
       console.log(`  ${index + 1}. ${snapshot.name}${isLatest}`);
       console.log(`     Path: ${snapshot.path}`);
       console.log(`     Size: ${sizeStr}`);
@@ -86,14 +118,86 @@ async function runClean() {
       console.log('');
     });
 
-    console.log('NOTE: Snapshots are NOT automatically deleted.');
-    console.log('To delete a snapshot, manually remove the directory.');
-    if (snapshots.length > 0) {
+    console.log(`Total: ${FileManager.formatSize(usage.getApparent())} apparent, ${FileManager.formatSize(usage.getReal())} on disk (shared files counted once)\n`);
+
+    if (!config.hasRetentionPolicy()) {
+      console.log('NOTE: Snapshots are NOT automatically deleted.');
+      console.log('Set RETENTION_KEEP_LAST/DAILY/WEEKLY/MONTHLY or RETENTION_MAX_SIZE to prune them,');
+      console.log('or remove a snapshot directory manually.');
       console.log(`\nExample: rm -rf ${snapshots[snapshots.length - 1].path}`);
     }
   }
 
-  return 0;
+  return failed > 0 ? 1 : 0;
+}
+
+/**
+ * Delete the snapshots the retention policy doesn't keep (or only list them
+ * with RETENTION_DRY_RUN). Returns the number of failed deletions.
+ */
+function applyRetention(config, snapshots, latestName, usage) {
+  // Never delete what 'latest' serves, nor an unfinished crawl that RESUME could continue
+  const protectedSnapshots = new Map();
+  const unfinishedSnapshots = new Set();
+  snapshots.forEach((snapshot) => {
+    if (fs.existsSync(path.join(snapshot.path, CrawlJournal.FILENAME))) {
+      protectedSnapshots.set(snapshot.name, 'resumable crawl');
+      unfinishedSnapshots.add(snapshot.name);
+    }
+  });
+  if (latestName) protectedSnapshots.set(latestName, 'latest');
+
+  const decisions = new RetentionPolicy(config).plan(snapshots, {
+    protectedSnapshots,
+    unfinishedSnapshots,
+    measure: (names) => usage.getRealFor(names),
+  });
+  const doomed = decisions.filter((decision) => !decision.keep);
+  const sizes = (snapshot) => {
+    const { apparent, exclusive } = usage.snapshots.get(snapshot.name);
+    return `${FileManager.formatSize(apparent)} apparent, ${FileManager.formatSize(exclusive)} exclusive`;
+  };
+
+  console.log(`\n=== Retention${config.dryRun ? ' (dry run)' : ''} ===`);
+  decisions.forEach(({ snapshot, keep, reasons }) => {
+    console.log(`  ${keep ? 'keep  ' : 'delete'} ${snapshot.name}  ${sizes(snapshot)}  (${reasons.join(', ')})`);
+  });
+
+  const keptNames = decisions.filter((decision) => decision.keep).map((decision) => decision.snapshot.name);
+  const keptSize = usage.getRealFor(keptNames);
+  if (config.maxTotalSize > 0 && keptSize > config.maxTotalSize) {
+    logger.warn(`Protected snapshots alone exceed RETENTION_MAX_SIZE (${FileManager.formatSize(keptSize)})`);
+  }
+
+  let failed = 0;
+  for (const { snapshot, reasons } of doomed) {
+    if (config.dryRun) {
+      logger.info(`Would delete snapshot ${snapshot.name} (${sizes(snapshot)}; ${reasons.join(', ')})`);
+      continue;
+    }
+    try {
+      fs.removeSync(snapshot.path);
+      logger.info(`Deleted snapshot ${snapshot.name} (${sizes(snapshot)}; ${reasons.join(', ')})`);
+    } catch (err) {
+      logger.error(`Failed to delete snapshot ${snapshot.name}: ${err.message}`);
+      failed++;
+    }
+  }
+
+  // Files shared with kept snapshots stay; the rest is freed once the store is collected
+  const freed = usage.getReal() - keptSize;
+  const verb = config.dryRun ? 'Would delete' : 'Deleted';
+  console.log(`\n${verb} ${doomed.length - failed} snapshot(s), freeing up to ${FileManager.formatSize(freed)}.`);
+  return failed;
+}
+
+// Name of the snapshot the 'latest' symlink points to, or null
+function getLatestSnapshotName(outputDir) {
+  try {
+    return path.basename(fs.realpathSync(path.join(outputDir, 'latest')));
+  } catch (err) {
+    return null;
+  }
 }
 
 module.exports = { runClean };
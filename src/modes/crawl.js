@@ -1,14 +1,20 @@
 /**
  * Crawl Mode - Full-site recursive crawl with post-processing
- * Orchestrates: Crawler -> PostProcessor -> FileManager
+ * Orchestrates: Crawler -> PostProcessor -> FileManager, streaming each page and
+ * asset to disk as soon as it is fetched
  */
 
-const axios = require('axios');
+const path = require('path');
 const CrawlerConfig = require('../crawler/config');
 const Crawler = require('../crawler/crawler');
+const CrawlJournal = require('../crawler/crawlJournal');
+const CrawlReport = require('../crawler/crawlReport');
+const PreviousSnapshot = require('../crawler/previousSnapshot');
+const AssetDownloader = require('../crawler/assetDownloader');
 const PostProcessor = require('../processor/postProcessor');
 const FileManager = require('../crawler/fileManager');
-const HtmlUtils = require('../processor/htmlUtils');
+const SearchIndex = require('../processor/searchIndex');
+const StaticSearch = require('../processor/staticSearch');
 const Logger = require('../utils/logger');
 
 const logger = new Logger('crawl');
@@ -22,110 +28,148 @@ async function runCrawl() {
 
   // Initialize file manager
   const outputDir = process.env.OUTPUT_DIR || '/output';
-  const fileManager = new FileManager(outputDir);
-  const snapshotDir = fileManager.initializeSnapshot();
+  const fileManager = new FileManager(outputDir, { contentStore: config.contentStore });
+  const resumeFrom = process.env.RESUME || '';
+  const snapshotDir = resumeFrom
+    ? fileManager.openSnapshot(resumeFrom)
+    : fileManager.initializeSnapshot();
   logger.info(`Snapshot directory: ${snapshotDir}`);
 
+  // Progress journal: lets an interrupted crawl continue with RESUME=<snapshot>
+  const journal = new CrawlJournal(snapshotDir);
+  let resumeState = null;
+  if (resumeFrom) {
+    if (!journal.exists()) {
+      logger.error(`No crawl journal in ${snapshotDir} — nothing to resume`);
+      return 1;
+    }
+    resumeState = journal.load();
+    logger.info(`Resuming crawl from journal: ${journal.filePath}`);
+  }
+
+  // Incremental mode: conditional requests against the snapshot 'latest' points to
+  let previous = null;
+  if (config.incremental) {
+    previous = PreviousSnapshot.load(outputDir);
+    if (previous && previous.snapshotDir === snapshotDir) previous = null;
+    if (previous) {
+      logger.info(`Incremental crawl against ${previous.name} (${previous.size} manifest entries)`);
+    } else {
+      logger.warn('INCREMENTAL=true but no previous snapshot with a manifest was found — doing a full crawl');
+    }
+  }
+
   // Initialize post-processor
   const processor = new PostProcessor({
     siteDomain: config.siteHostname,
     linkedinProfile: config.linkedInProfile,
+    stripQueryParams: config.stripQueryParams,
+    viewsExposedFilters: config.viewsExposedFilters,
+    staticSearch: config.searchIndex,
     verbose: process.env.VERBOSE === 'true',
   });
 
-  // Initialize crawler
-  const crawler = new Crawler(config);
+  // Pages are post-processed and saved as soon as they are fetched
+  let savedCount = resumeState ? resumeState.pages.length : 0;
+  const savePage = (page) => {
+    try {
+      const { html, actions } = processor.processPage(page.html, page.url);
+      const saved = fileManager.savePage(page.url, html);
+      savedCount++;
+
+      if (savedCount % 10 === 0) {
+        logger.info(`  Saved ${savedCount} pages...`);
+      }
+      return { filePath: saved.filePath, actions };
+    } catch (err) {
+      logger.warn(`Failed to save page ${page.url}: ${err.message}`);
+      return { filePath: null, actions: [] };
+    }
+  };
+
+  // Pages the origin reports as 304 Not Modified are linked from the previous snapshot
+  const linkUnchangedPage = ({ entry }) => {
+    savedCount++;
+    return fileManager.linkFromSnapshot(previous.snapshotDir, entry.filePath, 'page');
+  };
+
+  // The site's themed 404 (and 403) pages become 404.html / 403.html
+  const saveErrorPage = (page) => {
+    try {
+      fileManager.saveErrorPage(page.status, processor.process(page.html, page.url));
+    } catch (err) {
+      logger.warn(`Failed to save ${page.status} page: ${err.message}`);
+    }
+  };
+
+  // Initialize crawler; assets are handed to the downloader as they are discovered
+  let downloader = null;
+  const crawler = new Crawler(config, {
+    journal,
+    previous,
+    onPage: savePage,
+    onUnchangedPage: linkUnchangedPage,
+    onErrorPage: saveErrorPage,
+    onAssets: (urls) => downloader.enqueue(urls),
+  });
+
+  downloader = new AssetDownloader(crawler, processor, fileManager, {
+    journal,
+    previous,
+    savedAssets: resumeState ? resumeState.savedAssets : new Map(),
+  });
+
+  if (resumeState) {
+    fileManager.restoreCounts({ pages: resumeState.pages.length, assets: resumeState.savedAssets.size });
+    crawler.restore(resumeState);
+    // Assets discovered before the interruption but not saved yet
+    downloader.enqueue(Array.from(resumeState.assets));
+  }
 
   let crawlResult;
+  const downloads = downloader.run();
   try {
-    // Run crawler
+    // Run crawler; pages and assets stream to disk while it runs
     crawlResult = await crawler.crawl();
 
     logger.info(`Crawl finished: ${crawlResult.stats.pagesCrawled} pages, ${crawlResult.stats.assetCount} assets`);
+    logger.info(`Saved ${savedCount} pages`);
 
-    // Post-process and save each page
-    logger.info('Post-processing and saving pages...');
-    let savedCount = 0;
-
-    for (const page of crawlResult.pages) {
-      try {
-        const processedHtml = processor.process(page.html, page.url);
-        fileManager.savePage(page.url, processedHtml);
-        savedCount++;
-
-        if (savedCount % 10 === 0) {
-          logger.info(`  Saved ${savedCount}/${crawlResult.pages.length} pages...`);
-        }
-      } catch (err) {
-        logger.warn(`Failed to save page ${page.url}: ${err.message}`);
-      }
-    }
+    logger.info('Waiting for remaining asset downloads...');
+    downloader.finish();
+    await downloads;
 
-    logger.info(`Saved ${savedCount} pages`);
+    const assetCount = downloader.downloadedCount;
+    logger.info(`Downloaded ${assetCount} assets`);
+    if (previous) {
+      logger.info(`Reused from ${previous.name}: ${crawlResult.stats.unchangedPages} pages, ${downloader.reusedCount} assets`);
+    }
 
-    // Download and save assets
-    logger.info('Downloading and saving assets...');
-    let assetCount = 0;
-    const siteUrl = config.getSiteUrl();
-
-    for (const assetUrl of crawlResult.assets) {
-      try {
-        const response = await axios.get(assetUrl, {
-          timeout: config.connectTimeout,
-          responseType: 'arraybuffer',
-          headers: {
-            'User-Agent': config.getRandomUserAgent(),
-            'Host': config.siteHost,
-          },
-          validateStatus: () => true,
-        });
-
-        if (response.status === 200) {
-          const buffer = Buffer.from(response.data);
-          // Compute save path matching the post-processed HTML references:
-          // apply the same Drupal path rewrite so the file lands where the HTML points.
-          const urlPath = new URL(assetUrl).pathname;
-          const rewrittenPath = HtmlUtils.rewriteDrupalPaths(urlPath);
-          fileManager.saveAssetAtPath(rewrittenPath, buffer);
-          assetCount++;
-        } else if (response.status === 404) {
-          // Some Drupal sites have broken links pointing to /sites/example.com/files/
-          // while the file actually lives under /sites/default/files/. Try the fallback.
-          const fallbackUrl = assetUrl.replace(/\/sites\/(?!default\/)[^/]+\/files\//, '/sites/default/files/');
-          if (fallbackUrl !== assetUrl) {
-            logger.warn(`Asset 404, retrying with default files path: ${assetUrl}`);
-            const fallback = await axios.get(fallbackUrl, {
-              timeout: config.connectTimeout,
-              responseType: 'arraybuffer',
-              headers: { 'User-Agent': config.getRandomUserAgent(), 'Host': config.siteHost },
-              validateStatus: () => true,
-            });
-            if (fallback.status === 200) {
-              const buffer = Buffer.from(fallback.data);
-              // Both paths rewrite to the same /files/... destination, so the HTML
-              // reference (rewritten from the original URL) will resolve correctly.
-              const urlPath = new URL(assetUrl).pathname;
-              const rewrittenPath = HtmlUtils.rewriteDrupalPaths(urlPath);
-              fileManager.saveAssetAtPath(rewrittenPath, buffer);
-              assetCount++;
-              logger.info(`  Fallback succeeded for: ${fallbackUrl}`);
-            } else {
-              logger.warn(`  Fallback also failed (${fallback.status}): ${fallbackUrl}`);
-            }
-          }
-        }
-      } catch (err) {
-        logger.warn(`Failed to download asset ${assetUrl}: ${err.message}`);
-      }
+    // Per-URL manifest (assets are recorded by the downloader as they are saved)
+    crawlResult.pages.forEach((page) => {
+      if (!page.filePath) return;
+      fileManager.recordManifestEntry(page.url, {
+        type: 'page',
+        filePath: page.filePath,
+        etag: page.etag || null,
+        lastModified: page.lastModified || null,
+        // Replayed when the page comes back 304 in an incremental crawl
+        links: page.links,
+        assets: page.assets,
+        actions: page.actions,
+      });
+    });
 
-      // Small delay between asset downloads
-      if (config.crawlDelay > 0) {
-        await new Promise((r) => setTimeout(r, Math.floor(config.crawlDelay / 4)));
+    // Client-side search over the saved pages
+    if (config.searchIndex) {
+      const searchIndex = SearchIndex.fromSnapshot(snapshotDir, crawlResult.pages.filter((page) => page.filePath));
+      searchIndex.save(snapshotDir);
+      logger.info(`Wrote ${SearchIndex.FILENAME} (${searchIndex.size} pages)`);
+      if (fileManager.saveSearchPage(config.getSiteUrl() + StaticSearch.SEARCH_PATH)) {
+        logger.info(`Search page ${StaticSearch.SEARCH_PATH} was not crawled — created one from the home page`);
       }
     }
 
-    logger.info(`Downloaded ${assetCount} assets`);
-
     // Save snapshot metadata and update 'latest' symlink
     fileManager.saveMetadata({
       siteHost: config.siteHost,
@@ -133,12 +177,37 @@ async function runCrawl() {
       savedPages: savedCount,
       downloadedAssets: assetCount,
       failedUrls: crawlResult.failed.length,
+      skippedUrls: crawlResult.skipped.length,
+      redirects: crawlResult.redirects,
+      errorPages: crawlResult.errorPages.map((page) => page.status),
+      filteredUrls: crawlResult.stats.filteredByRule,
       crawlDuration: crawlResult.stats.duration,
+      resumed: Boolean(resumeFrom),
+      incrementalFrom: previous ? previous.name : null,
+      unchangedPages: crawlResult.stats.unchangedPages,
+      reusedAssets: downloader.reusedCount,
     });
 
     fileManager.saveHeadersFile();
+    const redirectRules = fileManager.saveRedirects(crawlResult.redirects);
+    fileManager.saveNginxConfig({ serverName: config.siteHostname, redirects: redirectRules });
+    fileManager.saveHtaccess();
+
+    const report = CrawlReport.fromCrawl({
+      siteHost: config.siteHost,
+      snapshot: path.basename(snapshotDir),
+      crawlResult,
+      crawler,
+      downloader,
+      manifest: fileManager.manifest,
+    });
+    report.save(snapshotDir, { junit: config.crawlReportJunit });
+    logger.info(`Wrote ${CrawlReport.JSON_FILENAME}${config.crawlReportJunit ? ` and ${CrawlReport.JUNIT_FILENAME}` : ''}`);
     fileManager.updateLatestSymlink();
 
+    // Last write of a successful crawl: until here a failure leaves the journal to RESUME from
+    journal.remove();
+
     const summary = fileManager.getSummary();
     logger.info('Crawl complete!');
     logger.info(`  Snapshot: ${summary.snapshotDir}`);
@@ -147,7 +216,15 @@ async function runCrawl() {
 
     if (crawlResult.failed.length > 0) {
       logger.warn(`  Failed URLs: ${crawlResult.failed.length}`);
-      crawlResult.failed.forEach((f) => logger.warn(`    - ${f.url} (${f.error})`));
+      crawlResult.failed.forEach((f) => {
+        const referrer = crawler.getReferrer(f.url);
+        logger.warn(`    - ${f.url} (${f.error})${referrer ? ` linked from ${referrer}` : ''}`);
+      });
+    }
+
+    if (crawlResult.skipped.length > 0) {
+      logger.info(`  Skipped URLs: ${crawlResult.skipped.length}`);
+      crawlResult.skipped.forEach((s) => logger.info(`    - ${s.url} (${s.reason})`));
     }
 
     return 0; // Success exit code
@@ -156,8 +233,15 @@ async function runCrawl() {
     logger.error('Crawl failed:', error.message);
     logger.error(error.stack);
 
-    // Cleanup incomplete snapshot
-    if (fileManager) {
+    // Let in-flight downloads settle before deciding what to keep
+    downloader.finish();
+    await downloads.catch(() => {});
+
+    // Keep partial progress when there is a journal to resume from
+    if (journal.exists()) {
+      logger.warn(`Crawl progress kept in ${journal.filePath}`);
+      logger.warn(`Resume with: RESUME=${path.basename(snapshotDir)}`);
+    } else if (fileManager) {
       fileManager.cleanupFailedSnapshot();
     }
 
@@ -0,0 +1,66 @@
+/**
+ * Diff Mode - Compares two snapshots
+ * Lists added, removed and changed pages and assets with normalized page diffs,
+ * printed as a summary and written as JSON and text reports
+ */
+
+const FileManager = require('../crawler/fileManager');
+const DiffConfig = require('../diff/diffConfig');
+const SnapshotDiff = require('../diff/snapshotDiff');
+const Logger = require('../utils/logger');
+
+const logger = new Logger('diff');
+
+// Entries per section printed to stdout; the reports list everything
+const CONSOLE_LIMIT = 20;
+
+async function runDiff() {
+  logger.info('Starting diff mode...');
+
+  let config;
+  try {
+    config = new DiffConfig();
+  } catch (err) {
+    logger.error(`Configuration error: ${err.message}`);
+    return 1;
+  }
+  logger.info(config.toString());
+
+  const snapshots = FileManager.listSnapshots(config.outputDir);
+  const find = (name) => FileManager.findSnapshot(snapshots, config.outputDir, name);
+
+  const to = config.to ? find(config.to) : snapshots[0];
+  if (!to) {
+    logger.error(config.to ? `Snapshot not found: ${config.to}` : `No snapshots found in output directory: ${config.outputDir}`);
+    return 1;
+  }
+
+  // Default: the snapshot taken before 'to'
+  const from = config.from ? find(config.from) : snapshots[snapshots.indexOf(to) + 1];
+  if (!from) {
+    logger.error(config.from ? `Snapshot not found: ${config.from}` : `No snapshot older than ${to.name} to compare against`);
+    logger.error(`Available snapshots: ${snapshots.map((s) => s.name).join(', ') || 'none'}`);
+    return 1;
+  }
+  if (from.name === to.name) {
+    logger.error(`DIFF_FROM and DIFF_TO both resolve to ${to.name}`);
+    return 1;
+  }
+
+  logger.info(`Comparing ${from.name} -> ${to.name}`);
+  const diff = new SnapshotDiff(from, to, { context: config.context }).compare();
+
+  console.log('\n=== Snapshot Diff ===');
+  console.log(diff.toText({ limit: CONSOLE_LIMIT, diffs: false }));
+
+  const reportFiles = diff.save(config.reportDir);
+  console.log('Reports:');
+  reportFiles.forEach((file) => console.log(`  ${file}`));
+
+  if (!diff.hasChanges()) {
+    console.log('\nNo changes between the snapshots.');
+  }
+  return 0;
+}
+
+module.exports = { runDiff };
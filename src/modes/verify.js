@@ -1,12 +1,15 @@
 /**
- * Verify Mode - Validates the latest snapshot for completeness
- * Checks for broken links, missing assets, and reports to stdout
+ * Verify Mode - Validates a snapshot for completeness
+ * Checks links, fragments and assets as nginx would serve them, reports to stdout and to
+ * JSON/JUnit/SARIF files, and fails when the configured thresholds are exceeded
  */
 
 const fs = require('fs-extra');
 const path = require('path');
-const cheerio = require('cheerio');
 const FileManager = require('../crawler/fileManager');
+const LinkChecker = require('../verify/linkChecker');
+const VerifyConfig = require('../verify/verifyConfig');
+const VerifyReport = require('../verify/verifyReport');
 const Logger = require('../utils/logger');
 
 const logger = new Logger('verify');
@@ -14,118 +17,82 @@ const logger = new Logger('verify');
 async function runVerify() {
   logger.info('Starting verify mode...');
 
-  const outputDir = process.env.OUTPUT_DIR || '/output';
+  let config;
+  try {
+    config = new VerifyConfig();
+  } catch (err) {
+    logger.error(`Configuration error: ${err.message}`);
+    return 1;
+  }
+  logger.info(config.toString());
 
-  // Find latest snapshot
-  const snapshots = FileManager.listSnapshots(outputDir);
+  const snapshots = FileManager.listSnapshots(config.outputDir);
 
   if (snapshots.length === 0) {
-    logger.error('No snapshots found in output directory:', outputDir);
+    logger.error('No snapshots found in output directory:', config.outputDir);
     logger.error('Run crawl mode first to create a snapshot.');
     return 1;
   }
 
-  const latestSnapshot = snapshots[0];
-  logger.info(`Verifying snapshot: ${latestSnapshot.name}`);
-  logger.info(`  Path: ${latestSnapshot.path}`);
-  logger.info(`  Size: ${FileManager.formatSize(latestSnapshot.size)}`);
-
-  const issues = [];
-  const warnings = [];
-  let htmlFilesChecked = 0;
-
-  // Walk all HTML files in snapshot
-  const htmlFiles = findHtmlFiles(latestSnapshot.path);
-  logger.info(`Found ${htmlFiles.length} HTML files to check`);
+  // VERIFY_SNAPSHOT: a snapshot name or 'latest'; the newest snapshot by default
+  const snapshot = config.snapshot
+    ? FileManager.findSnapshot(snapshots, config.outputDir, config.snapshot)
+    : snapshots[0];
+  if (!snapshot) {
+    logger.error(`Snapshot not found: ${config.snapshot}`);
+    logger.error(`Available snapshots: ${snapshots.map((s) => s.name).join(', ')}`);
+    return 1;
+  }
 
-  for (const htmlFile of htmlFiles) {
-    try {
-      const html = fs.readFileSync(htmlFile, 'utf-8');
-      const $ = cheerio.load(html);
-      const relativeHtmlPath = path.relative(latestSnapshot.path, htmlFile);
-
-      // Check all href links
-      $('a[href]').each((_, elem) => {
-        const href = $(elem).attr('href');
-        if (!href || href.startsWith('#') || href.startsWith('http') || href.startsWith('mailto:') || href.startsWith('tel:')) {
-          return; // Skip external, anchors, special schemes
-        }
-
-        // Check if relative link target exists as file
-        const targetPath = resolveLocalPath(href, latestSnapshot.path, htmlFile);
-        if (targetPath && !fs.existsSync(targetPath)) {
-          issues.push({
-            type: 'broken-link',
-            file: relativeHtmlPath,
-            href,
-            target: targetPath,
-          });
-        }
-      });
+  logger.info(`Verifying snapshot: ${snapshot.name}`);
+  logger.info(`  Path: ${snapshot.path}`);
+  logger.info(`  Size: ${FileManager.formatSize(snapshot.size)}`);
 
-      // Check all src attributes (images, scripts)
-      $('[src]').each((_, elem) => {
-        const src = $(elem).attr('src');
-        if (!src || src.startsWith('http') || src.startsWith('data:')) {
-          return;
-        }
-
-        const targetPath = resolveLocalPath(src, latestSnapshot.path, htmlFile);
-        if (targetPath && !fs.existsSync(targetPath)) {
-          issues.push({
-            type: 'missing-asset',
-            file: relativeHtmlPath,
-            src,
-            target: targetPath,
-          });
-        }
-      });
+  const report = new VerifyReport({ snapshot, config });
 
-      // Check all stylesheet links
-      $('link[rel~=stylesheet][href]').each((_, elem) => {
-        const href = $(elem).attr('href');
-        if (!href || href.startsWith('http')) return;
-
-        const targetPath = resolveLocalPath(href, latestSnapshot.path, htmlFile);
-        if (targetPath && !fs.existsSync(targetPath)) {
-          issues.push({
-            type: 'missing-stylesheet',
-            file: relativeHtmlPath,
-            href,
-            target: targetPath,
-          });
-        }
-      });
+  // Resolve every reference in the snapshot's pages and stylesheets as nginx would
+  const checker = new LinkChecker(snapshot.path);
+  const htmlFiles = findFiles(snapshot.path, '.html');
+  const cssFiles = findFiles(snapshot.path, '.css');
+  logger.info(`Found ${htmlFiles.length} HTML files and ${cssFiles.length} stylesheets to check`);
 
-      htmlFilesChecked++;
+  for (const file of [...htmlFiles, ...cssFiles]) {
+    const relativePath = path.relative(snapshot.path, file);
+    try {
+      const content = fs.readFileSync(file, 'utf-8');
+      const issues = file.endsWith('.css')
+        ? checker.checkCss(content, relativePath)
+        : checker.checkHtml(content, relativePath);
+      issues.forEach((issue) => report.addIssue({ ...issue, file: relativePath }));
+      report.addCheckedFile(relativePath);
     } catch (err) {
-      warnings.push({ type: 'read-error', file: htmlFile, error: err.message });
+      report.addWarning({ type: 'read-error', file, error: err.message });
     }
   }
 
   // Check for metadata file
-  const metadataFile = path.join(latestSnapshot.path, '.metadata.json');
+  const metadataFile = path.join(snapshot.path, '.metadata.json');
   let metadata = null;
   if (fs.existsSync(metadataFile)) {
     try {
       metadata = JSON.parse(fs.readFileSync(metadataFile, 'utf-8'));
     } catch (e) {
-      warnings.push({ type: 'metadata-parse-error', error: e.message });
+      report.addWarning({ type: 'metadata-parse-error', error: e.message });
     }
   } else {
-    warnings.push({ type: 'no-metadata', message: 'No .metadata.json found in snapshot' });
+    report.addWarning({ type: 'no-metadata', message: 'No .metadata.json found in snapshot' });
   }
 
   // Check for index.html
-  const indexHtml = path.join(latestSnapshot.path, 'index.html');
+  const indexHtml = path.join(snapshot.path, 'index.html');
   if (!fs.existsSync(indexHtml)) {
-    issues.push({ type: 'missing-index', message: 'No index.html found in snapshot root' });
+    report.addIssue({ type: 'missing-index', message: 'No index.html found in snapshot root' });
   }
 
   // Print report
   console.log('\n=== Snapshot Verification Report ===');
-  console.log(`Snapshot: ${latestSnapshot.name}`);
-  console.log(`HTML files checked: ${htmlFilesChecked}`);
+  console.log(`Snapshot: ${snapshot.name}`);
+  console.log(`Files checked: ${report.checkedFiles.length}`);
 
   if (metadata) {
     console.log(`\nSnapshot metadata:`);
@@ -135,40 +102,59 @@ async function runVerify() {
     console.log(`  Crawl duration: ${metadata.crawlDuration || 'unknown'}`);
   }
 
-  if (warnings.length > 0) {
-    console.log(`\nWarnings (${warnings.length}):`);
-    warnings.forEach((w) => console.log(`  [WARN] ${w.type}: ${w.message || w.error || JSON.stringify(w)}`));
+  if (report.warnings.length > 0) {
+    console.log(`\nWarnings (${report.warnings.length}):`);
+    report.warnings.forEach((w) => console.log(`  [WARN] ${w.type}: ${w.message || w.error || JSON.stringify(w)}`));
   }
 
-  if (issues.length === 0) {
-    console.log('\nResult: PASS - No issues found');
-    return 0;
-  } else {
-    console.log(`\nIssues found (${issues.length}):`);
-
-    // Group by type
-    const grouped = {};
-    issues.forEach((issue) => {
-      if (!grouped[issue.type]) grouped[issue.type] = [];
-      grouped[issue.type].push(issue);
-    });
+  if (report.issues.length > 0) {
+    console.log(`\nIssues found (${report.issues.length}):`);
 
-    for (const [type, typeIssues] of Object.entries(grouped)) {
-      console.log(`\n  ${type} (${typeIssues.length}):`);
+    for (const [type, typeIssues] of Object.entries(report.groupByType())) {
+      const allowed = typeIssues.filter((issue) => issue.allowedBy).length;
+      console.log(`\n  ${type} (${typeIssues.length}${allowed ? `, ${allowed} allow-listed` : ''}):`);
       typeIssues.slice(0, 10).forEach((issue) => {
-        console.log(`    - In ${issue.file}: ${issue.href || issue.src} -> NOT FOUND`);
+        const location = issue.line ? `${issue.file}:${issue.line}` : issue.file;
+        const suffix = issue.allowedBy ? ` (allowed by ${issue.allowedBy})` : ' -> NOT FOUND';
+        console.log(`    - ${location ? `In ${location}: ` : ''}${issue.href || issue.message}${suffix}`);
       });
       if (typeIssues.length > 10) {
-        console.log(`    ... and ${typeIssues.length - 10} more`);
+        console.log(`    ... and ${typeIssues.length - 10} more (see the full report)`);
       }
     }
+  }
 
-    console.log('\nResult: FAIL - Issues found');
-    return 1;
+  let reportFiles = [];
+  try {
+    reportFiles = report.save();
+  } catch (err) {
+    logger.error(`Failed to write verify report: ${err.message}`);
   }
+  if (reportFiles.length > 0) {
+    console.log('\nReports:');
+    reportFiles.forEach((file) => console.log(`  ${file}`));
+  }
+
+  const result = report.evaluate();
+  console.log('\nThresholds:');
+  result.thresholds.forEach((threshold) => {
+    console.log(`  ${threshold.exceeded ? 'FAIL' : 'ok  '} ${threshold.name}: ${threshold.count} (max ${threshold.max}, ${threshold.env})`);
+  });
+
+  if (result.passed) {
+    console.log(report.issues.length === 0
+      ? '\nResult: PASS - No issues found'
+      : '\nResult: PASS - Issues within thresholds');
+    return 0;
+  }
+
+  console.log(result.fatal.length > 0
+    ? `\nResult: FAIL - ${result.fatal.map((issue) => issue.type).join(', ')}`
+    : '\nResult: FAIL - Thresholds exceeded');
+  return 1;
 }
 
-function findHtmlFiles(dir) {
+function findFiles(dir, extension) {
   const results = [];
   try {
     const entries = fs.readdirSync(dir);
@@ -176,8 +162,8 @@ function findHtmlFiles(dir) {
       const fullPath = path.join(dir, entry);
       const stat = fs.statSync(fullPath);
       if (stat.isDirectory()) {
-        results.push(...findHtmlFiles(fullPath));
-      } else if (entry.endsWith('.html')) {
+        results.push(...findFiles(fullPath, extension));
+      } else if (entry.endsWith(extension)) {
         results.push(fullPath);
       }
     }
@@ -187,22 +173,4 @@ function findHtmlFiles(dir) {
   return results;
 }
 
-function resolveLocalPath(href, snapshotRoot, currentFile) {
-  try {
-    // Remove query string and hash
-    const cleanHref = href.split('?')[0].split('#')[0];
-    if (!cleanHref) return null;
-
-    if (cleanHref.startsWith('/')) {
-      // Absolute path relative to snapshot root
-      return path.join(snapshotRoot, cleanHref);
-    } else {
-      // Relative to current file's directory
-      return path.join(path.dirname(currentFile), cleanHref);
-    }
-  } catch (e) {
-    return null;
-  }
-}
-
 module.exports = { runVerify };
@@ -0,0 +1,116 @@
+/**
+ * BigPipe Resolver
+ * Drupal's BigPipe sends placeholders (<span data-big-pipe-placeholder-id>)
+ * in the page and fills them later from application/vnd.drupal-ajax scripts
+ * holding AJAX commands. A static export runs no Drupal JavaScript, so the
+ * commands are applied to the DOM here instead.
+ */
+
+const PLACEHOLDER_ATTRIBUTE = 'data-big-pipe-placeholder-id';
+const REPLACEMENT_ATTRIBUTE = 'data-big-pipe-replacement-for-placeholder-with-id';
+
+// jQuery insertion methods used by Drupal's "insert" AJAX command
+const INSERT_METHODS = {
+  replaceWith: ($target, html) => $target.replaceWith(html),
+  html: ($target, html) => $target.html(html),
+  append: ($target, html) => $target.append(html),
+  prepend: ($target, html) => $target.prepend(html),
+  before: ($target, html) => $target.before(html),
+  after: ($target, html) => $target.after(html),
+};
+
+class BigPipe {
+  /**
+   * Apply every BigPipe replacement in the document and remove the BigPipe
+   * scripts. Returns the number of placeholders resolved.
+   * @param {CheerioAPI} $
+   * @param {object} [options]
+   * @param {function} [options.onUnresolved] (placeholderId, reason) => void
+   */
+  static resolve($, { onUnresolved = null } = {}) {
+    let resolved = 0;
+
+    $(`script[${REPLACEMENT_ATTRIBUTE}]`).each((_, elem) => {
+      const placeholderId = $(elem).attr(REPLACEMENT_ATTRIBUTE);
+      let commands;
+      try {
+        commands = JSON.parse($(elem).html() || '[]');
+      } catch (error) {
+        if (onUnresolved) onUnresolved(placeholderId, `unreadable commands: ${error.message}`);
+        return;
+      }
+
+      const applied = (Array.isArray(commands) ? commands : [])
+        .filter((command) => BigPipe.applyCommand($, command, placeholderId)).length;
+      if (applied > 0) {
+        resolved++;
+      } else if (onUnresolved) {
+        onUnresolved(placeholderId, 'no insert command matched the placeholder');
+      }
+    });
+
+    $(`script[${REPLACEMENT_ATTRIBUTE}], script[data-big-pipe-event]`).remove();
+    return resolved;
+  }
+
+  /**
+   * Apply one AJAX command; returns true if it changed the page content.
+   * "insert" places its HTML, "add_css" adds stylesheets to <head>. Other
+   * commands (settings, add_js, invoke) only matter to Drupal's JavaScript.
+   */
+  static applyCommand($, command, placeholderId) {
+    if (!command || typeof command !== 'object') return false;
+
+    if (command.command === 'add_css') {
+      BigPipe.addStylesheets($, command.data);
+      return false;
+    }
+    if (command.command !== 'insert') return false;
+
+    const insert = INSERT_METHODS[command.method || 'replaceWith'];
+    if (!insert) return false;
+
+    const $target = BigPipe.findTarget($, command.selector, placeholderId);
+    if ($target.length === 0) return false;
+
+    insert($target, typeof command.data === 'string' ? command.data : '');
+    return true;
+  }
+
+  /**
+   * Elements the command selector matches, or the placeholder itself when the
+   * selector is missing, invalid for the CSS engine or matches nothing.
+   */
+  static findTarget($, selector, placeholderId) {
+    if (selector) {
+      try {
+        const $matched = $(selector);
+        if ($matched.length > 0) return $matched;
+      } catch (error) {
+        // Fall back to the placeholder below
+      }
+    }
+    return $(`[${PLACEHOLDER_ATTRIBUTE}]`).filter((_, elem) => $(elem).attr(PLACEHOLDER_ATTRIBUTE) === placeholderId);
+  }
+
+  /**
+   * add_css data: a string of <link> tags (Drupal 8-10.0) or a list of
+   * link attribute objects (Drupal 10.1+). Stylesheets already linked are skipped.
+   */
+  static addStylesheets($, data) {
+    const links = typeof data === 'string'
+      ? $('<div>').append(data).find('link[href]').toArray().map((link) => ({ ...link.attribs }))
+      : (Array.isArray(data) ? data : []).filter((attributes) => attributes && attributes.href);
+
+    const linked = new Set($('link[href]').toArray().map((link) => $(link).attr('href')));
+    links.forEach((attributes) => {
+      if (linked.has(attributes.href)) return;
+      linked.add(attributes.href);
+      const $link = $('<link>');
+      Object.entries({ rel: 'stylesheet', ...attributes }).forEach(([name, value]) => $link.attr(name, String(value)));
+      $('head').append($link);
+    });
+  }
+}
+
+module.exports = BigPipe;
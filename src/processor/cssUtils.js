@@ -0,0 +1,76 @@
+/**
+ * CSS Utilities for Asset Discovery and Post-Processing
+ * Finds and rewrites url(...) and @import references in stylesheets
+ */
+
+// url(foo.png), url('foo.png'), url("foo.png")
+const URL_PATTERN = /url\(\s*(['"]?)([^'")]*?)\1\s*\)/gi;
+// @import "foo.css" / @import 'foo.css' (the url(...) form is matched by URL_PATTERN)
+const IMPORT_PATTERN = /@import\s+(['"])([^'"]+)\1/gi;
+const COMMENT_PATTERN = /\/\*[\s\S]*?\*\//g;
+
+class CssUtils {
+  static isSkippableRef(ref) {
+    return !ref || /^(data:|about:|javascript:|#)/i.test(ref);
+  }
+
+  /**
+   * Return every asset reference in a stylesheet, in document order, deduplicated.
+   */
+  static extractUrls(css) {
+    return Array.from(new Set(this.findUrls(css).map(({ ref }) => ref)));
+  }
+
+  /**
+   * Every asset reference with the 1-based line it appears on, in document order.
+   */
+  static findUrls(css) {
+    if (!css || typeof css !== 'string') return [];
+
+    // Blank out comments but keep their newlines so line numbers stay correct
+    const source = css.replace(COMMENT_PATTERN, (comment) => comment.replace(/[^\n]/g, ' '));
+    const found = [];
+
+    for (const pattern of [IMPORT_PATTERN, URL_PATTERN]) {
+      for (const match of source.matchAll(pattern)) {
+        const ref = match[2].trim();
+        if (!this.isSkippableRef(ref)) found.push({ ref, index: match.index });
+      }
+    }
+
+    return found
+      .sort((a, b) => a.index - b.index)
+      .map(({ ref, index }) => ({ ref, line: source.slice(0, index).split('\n').length }));
+  }
+
+  /**
+   * Replace every url(...) / @import reference with rewriteFn(ref), keeping the original quoting.
+   */
+  static rewriteUrls(css, rewriteFn) {
+    if (!css || typeof css !== 'string') return css;
+
+    const rewrite = (match, quote, ref, build) => {
+      const trimmed = ref.trim();
+      if (this.isSkippableRef(trimmed)) return match;
+      const rewritten = rewriteFn(trimmed);
+      return rewritten === trimmed ? match : build(quote, rewritten);
+    };
+
+    return css
+      .replace(IMPORT_PATTERN, (match, quote, ref) =>
+        rewrite(match, quote, ref, (q, r) => `@import ${q}${r}${q}`))
+      .replace(URL_PATTERN, (match, quote, ref) =>
+        rewrite(match, quote, ref, (q, r) => `url(${q}${r}${q})`));
+  }
+
+  static isStylesheet(url, contentType = '') {
+    if (/text\/css/i.test(contentType)) return true;
+    try {
+      return /\.css$/i.test(new URL(url).pathname);
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = CssUtils;
@@ -0,0 +1,210 @@
+/**
+ * Drupal Views
+ * Makes Views listings browsable without Drupal's JavaScript: pager links
+ * that point at the /views/ajax endpoint are turned back into links to the
+ * listing page itself, and exposed filter forms become lists of links, one
+ * per filter option, that the crawler follows like any other page link.
+ */
+
+const { URL } = require('url');
+
+const PAGER_SELECTOR = '.pager, .js-pager__items, .mini-pager';
+const EXPOSED_FORM_SELECTOR = 'form.views-exposed-form, form[id^="views-exposed-form"]';
+
+// Query parameters Views' AJAX requests add on top of the listing's own ones
+const AJAX_PARAMS = [
+  /^_wrapper_format$/,
+  /^_drupal_ajax$/,
+  /^_triggering_element_(name|value)$/,
+  /^ajax_page_state\[/,
+  /^ajax_html_ids/,
+  /^view_(name|display_id|args|path|base_path|dom_id)$/,
+  /^pager_element$/,
+  /^js$/,
+];
+
+// Drupal's value for a filter's "- Any -" option
+const ANY_VALUE = 'All';
+
+// Options listed per filter; a taxonomy with thousands of terms is no use as a link list
+const MAX_FILTER_OPTIONS = 100;
+
+class DrupalViews {
+  static get EXPOSED_FILTER_MODES() {
+    return ['links', 'remove', 'keep'];
+  }
+
+  static isViewsAjaxUrl(url) {
+    try {
+      return /\/views\/ajax\/?$/.test(new URL(url).pathname);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Listing page URL for a /views/ajax request URL: its own query parameters
+   * (page, filters) on the view's path, or on pageUrl when the request doesn't
+   * name one. Other URLs are returned unchanged.
+   */
+  static toPageUrl(url, pageUrl) {
+    if (!DrupalViews.isViewsAjaxUrl(url)) return url;
+
+    const ajaxUrl = new URL(url);
+    const viewPath = ajaxUrl.searchParams.get('view_path');
+    const target = new URL(pageUrl);
+    if (viewPath) target.pathname = '/' + viewPath.replace(/^\/+/, '');
+
+    target.search = '';
+    target.hash = '';
+    ajaxUrl.searchParams.forEach((value, name) => {
+      if (!AJAX_PARAMS.some((pattern) => pattern.test(name))) target.searchParams.append(name, value);
+    });
+    return target.href;
+  }
+
+  /**
+   * Point pager links at the listing page instead of /views/ajax and drop the
+   * AJAX hooks from them. Returns the number of links changed.
+   */
+  static rewritePagers($, pageUrl) {
+    let rewritten = 0;
+    $(PAGER_SELECTOR).find('a[href]').each((_, elem) => {
+      const $link = $(elem);
+      let absoluteUrl;
+      try {
+        absoluteUrl = new URL($link.attr('href'), pageUrl).href;
+      } catch (error) {
+        return;
+      }
+      if (!DrupalViews.isViewsAjaxUrl(absoluteUrl)) return;
+
+      const target = new URL(DrupalViews.toPageUrl(absoluteUrl, pageUrl));
+      // Root-relative, so the usual page link rewriting maps it to a static path
+      $link.attr('href', target.pathname + target.search);
+      $link.removeClass('use-ajax');
+      if (!$link.attr('class')) $link.removeAttr('class');
+      rewritten++;
+    });
+    return rewritten;
+  }
+
+  /**
+   * The choices of an exposed filter form that can be pre-rendered: one entry
+   * per select, radio group or checkbox group, each with a link per option.
+   * Free-text and date fields have no finite set of values and are left out.
+   * @returns {{ name: string, label: string, links: { label: string, url: string, active: boolean }[] }[]}
+   */
+  static getFilterLinks($, form, pageUrl) {
+    const $form = $(form);
+    let actionUrl;
+    try {
+      actionUrl = new URL($form.attr('action') || pageUrl, pageUrl);
+    } catch (error) {
+      return [];
+    }
+    actionUrl.hash = '';
+
+    const linkTo = (name, value) => {
+      const url = new URL(actionUrl.href);
+      if (value !== ANY_VALUE) url.searchParams.set(name, value);
+      return url.href;
+    };
+    const labelFor = (elem) => {
+      const id = $(elem).attr('id');
+      const text = id ? $form.find(`label[for="${id}"]`).first().text() : '';
+      return text.replace(/\s+/g, ' ').trim();
+    };
+
+    const filters = new Map();
+    const addOption = (name, label, option) => {
+      if (!filters.has(name)) filters.set(name, { name, label, links: [] });
+      const filter = filters.get(name);
+      if (filter.links.length < MAX_FILTER_OPTIONS) filter.links.push(option);
+    };
+
+    $form.find('select[name]').each((_, select) => {
+      const name = $(select).attr('name');
+      $(select).find('option').each((__, option) => {
+        const value = $(option).attr('value') ?? $(option).text();
+        addOption(name, labelFor(select) || name, {
+          label: $(option).text().replace(/\s+/g, ' ').trim() || value,
+          url: linkTo(name, value),
+          active: $(option).is('[selected]'),
+        });
+      });
+    });
+
+    $form.find('input[type="radio"][name], input[type="checkbox"][name]').each((_, input) => {
+      const name = $(input).attr('name');
+      const value = $(input).attr('value') || 'on';
+      // The group label is the fieldset legend (Drupal renders radios in a fieldset)
+      const legend = $(input).closest('fieldset').find('legend').first().text().replace(/\s+/g, ' ').trim();
+      addOption(name.replace(/\[[^\]]*\]$/, ''), legend || name, {
+        label: labelFor(input) || value,
+        url: linkTo(name, value),
+        active: $(input).is('[checked]'),
+      });
+    });
+
+    return Array.from(filters.values()).filter((filter) => filter.links.length > 0);
+  }
+
+  /**
+   * Replace every exposed filter form: 'links' swaps it for its filter links,
+   * 'remove' drops it, 'keep' leaves it alone. Returns the number of forms replaced.
+   */
+  static replaceExposedForms($, pageUrl, mode = 'links') {
+    if (mode === 'keep') return 0;
+
+    let replaced = 0;
+    $(EXPOSED_FORM_SELECTOR).each((_, form) => {
+      if (mode === 'remove') {
+        $(form).remove();
+        replaced++;
+        return;
+      }
+
+      const filters = DrupalViews.getFilterLinks($, form, pageUrl);
+      if (filters.length === 0) {
+        $(form).remove();
+        replaced++;
+        return;
+      }
+
+      const $nav = $('<nav class="views-exposed-links" aria-label="Filters"></nav>');
+      filters.forEach((filter) => {
+        const $filter = $('<div class="views-exposed-links__filter"></div>');
+        $filter.append($('<span class="views-exposed-links__label"></span>').text(filter.label));
+        const $list = $('<ul></ul>');
+        filter.links.forEach((link) => {
+          const target = new URL(link.url);
+          const $link = $('<a></a>').attr('href', target.pathname + target.search).text(link.label);
+          if (link.active) $link.addClass('is-active').attr('aria-current', 'page');
+          $list.append($('<li></li>').append($link));
+        });
+        $nav.append($filter.append($list));
+      });
+      $(form).replaceWith($nav);
+      replaced++;
+    });
+    return replaced;
+  }
+
+  /**
+   * Page URLs of every exposed filter option, which replaceExposedForms()
+   * links to in 'links' mode and the crawler therefore has to fetch.
+   */
+  static findPageUrls($, pageUrl, mode = 'links') {
+    const urls = [];
+    if (mode !== 'links') return urls;
+    $(EXPOSED_FORM_SELECTOR).each((_, form) => {
+      DrupalViews.getFilterLinks($, form, pageUrl).forEach((filter) => {
+        filter.links.forEach((link) => urls.push(link.url));
+      });
+    });
+    return urls;
+  }
+}
+
+module.exports = DrupalViews;
@@ -93,11 +93,19 @@ class HtmlUtils {
 
   static sanitizeHtml(html) {
     const $ = cheerio.load(html);
-    $('script[src], script[type="text/javascript"]').remove();
-    $('[onclick], [onerror], [onload]').each((_, elem) => {
+    HtmlUtils.sanitize($);
+    return $.html();
+  }
+
+  // In-place variant of sanitizeHtml; returns the number of scripts/handlers removed
+  static sanitize($) {
+    const $scripts = $('script[src], script[type="text/javascript"]');
+    const $handlers = $('[onclick], [onerror], [onload]');
+    $scripts.remove();
+    $handlers.each((_, elem) => {
       $(elem).removeAttr('onclick').removeAttr('onerror').removeAttr('onload');
     });
-    return $.html();
+    return $scripts.length + $handlers.length;
   }
 
   static createJatosReplacement(linkedinProfile) {
@@ -3,42 +3,84 @@
  * Transforms Drupal-generated HTML into static-friendly HTML
  */
 
+const path = require('path');
 const cheerio = require('cheerio');
+const UrlCanonicalizer = require('../crawler/urlCanonicalizer');
 const HtmlUtils = require('./htmlUtils');
+const CssUtils = require('./cssUtils');
+const BigPipe = require('./bigPipe');
+const DrupalViews = require('./drupalViews');
+const StaticSearch = require('./staticSearch');
 
 class PostProcessor {
   constructor(config = {}) {
     this.siteDomain = config.siteDomain || 'localhost';
     this.linkedinProfile = config.linkedinProfile || 'https://linkedin.com';
     this.verbose = config.verbose || false;
+    this.canonicalizer = new UrlCanonicalizer({ stripParams: config.stripQueryParams || [] });
+    // Views exposed filter forms: 'links', 'remove' or 'keep' (see DrupalViews)
+    this.viewsExposedFilters = config.viewsExposedFilters || 'links';
+    // Search forms point at the client-side search (see StaticSearch)
+    this.staticSearch = config.staticSearch !== false;
   }
 
   process(html, pageUrl = '') {
+    return this.processPage(html, pageUrl).html;
+  }
+
+  /**
+   * Post-process a page and report what was changed.
+   * @returns {{ html: string, actions: { action: string, count: number }[] }}
+   *   actions lists each step that changed something, e.g. { action: 'rewrite-urls', count: 12 }
+   */
+  processPage(html, pageUrl = '') {
     if (!html || typeof html !== 'string') {
       console.warn('Invalid HTML input');
-      return html;
+      return { html, actions: [] };
     }
 
-    let processed = html;
-    processed = HtmlUtils.sanitizeHtml(processed);
-    const $ = cheerio.load(processed);
-    this.rewriteUrls($);
-    this.replaceJatosForms($);
-    this.removeAdminElements($);
-    this.cleanupHtml($);
-    return $.html();
+    const $ = cheerio.load(html);
+    const actions = [];
+    const record = (action, count) => {
+      if (count > 0) actions.push({ action, count });
+    };
+
+    // BigPipe blocks only exist as AJAX commands until resolved; do it before scripts go
+    record('resolve-bigpipe', BigPipe.resolve($, {
+      onUnresolved: (placeholderId, reason) => {
+        if (this.verbose) console.log(`    BigPipe placeholder not resolved (${reason}): ${placeholderId}`);
+      },
+    }));
+    record('sanitize', HtmlUtils.sanitize($));
+    // Views links are made plain page links first, so rewriteUrls maps them to static paths
+    record('views-pagers', DrupalViews.rewritePagers($, pageUrl));
+    record('views-exposed-forms', DrupalViews.replaceExposedForms($, pageUrl, this.viewsExposedFilters));
+    // After sanitize, which would remove the search page's inline script again
+    if (this.staticSearch) {
+      record('search-forms', StaticSearch.rewriteBlockForms($));
+      if (StaticSearch.isSearchPage(pageUrl)) record('search-page', StaticSearch.replaceSearchPage($));
+    }
+    record('rewrite-urls', this.rewriteUrls($, pageUrl));
+    record('replace-jatos', this.replaceJatosForms($));
+    record('remove-admin', this.removeAdminElements($));
+    record('cleanup', this.cleanupHtml($));
+    return { html: $.html(), actions };
   }
 
-  rewriteUrls($) {
+  // Returns the number of attributes/style blocks that changed
+  rewriteUrls($, pageUrl = '') {
     if (this.verbose) console.log('  Rewriting URLs...');
+    let rewrittenCount = 0;
 
     $('[href]').each((_, elem) => {
       const $elem = $(elem);
       let href = $elem.attr('href');
       if (href) {
         if (HtmlUtils.isSpecialUrl(href)) return;
+        href = this.rewritePageLink(href, pageUrl);
         href = HtmlUtils.rewriteDrupalPaths(href);
         href = HtmlUtils.toRelativeUrl(href, this.siteDomain);
+        if (href !== $elem.attr('href')) rewrittenCount++;
         $elem.attr('href', href);
       }
     });
@@ -50,6 +92,7 @@ class PostProcessor {
         if (HtmlUtils.isSpecialUrl(src)) return;
         src = HtmlUtils.rewriteDrupalPaths(src);
         src = HtmlUtils.toRelativeUrl(src, this.siteDomain);
+        if (src !== $elem.attr('src')) rewrittenCount++;
         $elem.attr('src', src);
       }
     });
@@ -69,11 +112,71 @@ class PostProcessor {
           }
           return descriptor ? `${rewritten} ${descriptor}` : rewritten;
         }).join(', ');
+        if (srcset !== $elem.attr('srcset')) rewrittenCount++;
         $elem.attr('srcset', srcset);
       }
     });
 
-    if (this.verbose) console.log('    URLs rewritten');
+    $('[style]').each((_, elem) => {
+      const $elem = $(elem);
+      const style = this.rewriteCss($elem.attr('style'));
+      if (style !== $elem.attr('style')) rewrittenCount++;
+      $elem.attr('style', style);
+    });
+
+    $('style').each((_, elem) => {
+      const $elem = $(elem);
+      const css = this.rewriteCss($elem.text());
+      if (css !== $elem.text()) rewrittenCount++;
+      $elem.text(css);
+    });
+
+    if (this.verbose) console.log(`    ${rewrittenCount} URLs rewritten`);
+    return rewrittenCount;
+  }
+
+  /**
+   * Links to pages with a query string point at the static path the target is
+   * saved under (/blog?page=2 -> /blog/page/2), after the same canonicalization
+   * the crawler applies (tracking parameters, ?page=0 and index.php?q= dropped).
+   * Links to files keep their query string.
+   */
+  rewritePageLink(href, pageUrl = '') {
+    if (!href.includes('?')) return href;
+
+    let url;
+    try {
+      url = new URL(href, pageUrl || `http://${this.siteDomain}/`);
+    } catch (error) {
+      return href;
+    }
+    if (!HtmlUtils.isSameDomain(url.href, this.siteDomain)) return href;
+
+    const canonical = this.canonicalizer.canonicalize(url.href);
+    if (path.extname(new URL(canonical).pathname)) return href;
+
+    return UrlCanonicalizer.toStaticPath(canonical) + url.hash;
+  }
+
+  /**
+   * Rewrite url(...) and @import references in CSS the same way HTML attributes
+   * are rewritten. When the stylesheet's own URL is given, relative references
+   * are resolved against it first, so they keep working after the stylesheet
+   * itself moves from /sites/<site>/files/ to /files/.
+   */
+  rewriteCss(css, cssUrl = '') {
+    return CssUtils.rewriteUrls(css, (ref) => {
+      let url = ref;
+      if (cssUrl && !HtmlUtils.isAbsoluteUrl(url) && !url.startsWith('/')) {
+        try {
+          url = new URL(url, cssUrl).href;
+        } catch (error) {
+          return ref;
+        }
+      }
+      url = HtmlUtils.rewriteDrupalPaths(url);
+      return HtmlUtils.toRelativeUrl(url, this.siteDomain);
+    });
   }
 
   replaceJatosForms($) {
@@ -108,6 +211,7 @@ class PostProcessor {
     if (this.verbose && replacementCount > 0) {
       console.log(`    Replaced ${replacementCount} JATOS elements`);
     }
+    return replacementCount;
   }
 
   removeAdminElements($) {
@@ -124,6 +228,13 @@ class PostProcessor {
       '#login-form',
       '.login-form',
       '[role="complementary"] nav',
+      // Rendered for logged-in users: toolbar, contextual links and local task tabs
+      '#toolbar-administration',
+      '#toolbar.toolbar',
+      '[data-contextual-id]',
+      '.contextual-links-wrapper',
+      '.tabs--primary',
+      'ul.tabs.primary',
     ];
 
     adminSelectors.forEach((selector) => {
@@ -136,7 +247,7 @@ class PostProcessor {
       const $link = $(elem);
       const href = $link.attr('href') || '';
       const text = $link.text().toLowerCase();
-      if (/^\/admin|\/user\/logout|\/user\/login|^\/edit|^\/delete|^\/revisions/.test(href)) {
+      if (/^\/admin|^\/user(\/|$)|\/user\/logout|\/user\/login|^\/edit|^\/delete|^\/revisions/.test(href)) {
         $link.parent().is('li') ? $link.parent().remove() : $link.remove();
         removedCount++;
       }
@@ -149,19 +260,25 @@ class PostProcessor {
     if (this.verbose && removedCount > 0) {
       console.log(`    Removed ${removedCount} admin elements`);
     }
+    return removedCount;
   }
 
+  // Returns the number of elements removed or stripped of presentational attributes
   cleanupHtml($) {
+    let cleanedCount = $('p:empty, div:empty').length;
     $('p:empty').remove();
     $('div:empty').remove();
     $('*').each((_, elem) => {
       if (elem.type === 'comment') {
         $(elem).remove();
+        cleanedCount++;
       }
     });
     $('[align], [valign], [bgcolor]').each((_, elem) => {
       $(elem).removeAttr('align').removeAttr('valign').removeAttr('bgcolor');
+      cleanedCount++;
     });
+    return cleanedCount;
   }
 
   processMultiple(pages) {
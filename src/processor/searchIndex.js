@@ -0,0 +1,138 @@
+/**
+ * Search Index
+ * Builds search-index.json from the pages saved in a snapshot: title, static
+ * URL, body text and taxonomy terms of each page, for the client-side search
+ * StaticSearch puts in place of Drupal's search.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const { URL } = require('url');
+const UrlCanonicalizer = require('../crawler/urlCanonicalizer');
+const StaticSearch = require('./staticSearch');
+
+const INDEX_FILENAME = 'search-index.json';
+
+// Page chrome and widgets whose text would match every query
+const NON_CONTENT_SELECTORS = [
+  'script', 'style', 'noscript', 'template', 'iframe', 'svg',
+  'nav', 'header', 'footer', 'form', '[role="navigation"]', '[role="search"]',
+  '.static-search', '.views-exposed-links', '.pager', '.visually-hidden', '.element-invisible',
+].join(', ');
+
+// Term reference links: core's /taxonomy/term/N paths, tag fields and rel="tag"
+const TERM_SELECTORS = [
+  'a[href*="/taxonomy/term/"]',
+  '.field--type-entity-reference.field--name-field-tags a',
+  '.field-name-field-tags a',
+  'a[rel~="tag"]',
+].join(', ');
+
+// Body text kept per page; the whole index is downloaded by every search
+const MAX_BODY_LENGTH = 2000;
+
+const collapse = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+
+class SearchIndex {
+  static get FILENAME() {
+    return INDEX_FILENAME;
+  }
+
+  constructor() {
+    // static URL -> { url, title, body, terms }
+    this.documents = new Map();
+  }
+
+  /**
+   * Pages worth a search result: not the search page itself, not a pager or
+   * filter variant of a listing (?page=2, ?type=talk), not marked noindex.
+   */
+  static isIndexable(url, $) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return false;
+    }
+    if (parsed.search || StaticSearch.isSearchPage(url)) return false;
+    const robots = $('meta[name="robots"]').attr('content') || '';
+    return !/noindex/i.test(robots);
+  }
+
+  /**
+   * Title (first <h1>, else <title>), body text and taxonomy terms of a page.
+   * @returns {{ url: string, title: string, body: string, terms: string[] }}
+   */
+  static extractDocument($, url) {
+    const terms = new Set();
+    $(TERM_SELECTORS).each((_, elem) => {
+      const term = collapse($(elem).text());
+      if (term) terms.add(term);
+    });
+
+    const title = collapse($('h1').first().text()) || collapse($('title').first().text());
+
+    const $content = StaticSearch.findContent($).clone();
+    $content.find(NON_CONTENT_SELECTORS).remove();
+    // Block-level boundaries become spaces, so "Title</h2><p>Text" doesn't run together
+    $content.find('p, div, li, td, th, h1, h2, h3, h4, h5, h6, br, dd, dt').each((_, elem) => {
+      $(elem).append(' ');
+    });
+    let body = collapse($content.text());
+    if (title && body.startsWith(title)) body = body.slice(title.length).trim();
+    if (body.length > MAX_BODY_LENGTH) {
+      body = body.slice(0, MAX_BODY_LENGTH).replace(/\s+\S*$/, '');
+    }
+
+    return { url: UrlCanonicalizer.toStaticPath(url), title, body, terms: Array.from(terms) };
+  }
+
+  /**
+   * Index one saved page; returns false if it was left out.
+   */
+  add(url, html) {
+    const $ = cheerio.load(html);
+    if (!SearchIndex.isIndexable(url, $)) return false;
+
+    const document = SearchIndex.extractDocument($, url);
+    if (!document.title && !document.body) return false;
+    this.documents.set(document.url, document);
+    return true;
+  }
+
+  /**
+   * Index the saved pages of a snapshot.
+   * @param {string} snapshotDir
+   * @param {{ url: string, filePath: string }[]} pages filePath relative to snapshotDir
+   */
+  static fromSnapshot(snapshotDir, pages) {
+    const index = new SearchIndex();
+    pages.forEach(({ url, filePath }) => {
+      try {
+        index.add(url, fs.readFileSync(path.join(snapshotDir, filePath), 'utf-8'));
+      } catch (error) {
+        console.warn(`Search index: could not read ${filePath}: ${error.message}`);
+      }
+    });
+    return index;
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  toJSON() {
+    const documents = Array.from(this.documents.values())
+      .sort((a, b) => a.url.localeCompare(b.url));
+    return { version: 1, documents };
+  }
+
+  save(snapshotDir) {
+    const filePath = path.join(snapshotDir, INDEX_FILENAME);
+    fs.writeFileSync(filePath, JSON.stringify(this.toJSON()), 'utf-8');
+    return filePath;
+  }
+}
+
+module.exports = SearchIndex;
@@ -0,0 +1,249 @@
+/**
+ * Static Search
+ * Replaces Drupal's search, which needs the server, with a client-side one:
+ * search block forms submit to the search page with a GET request, and the
+ * search page runs an inline script that looks the keywords up in
+ * search-index.json (see SearchIndex).
+ */
+
+const cheerio = require('cheerio');
+const { URL } = require('url');
+
+// Drupal 8+ (and Drupal 7 with clean URLs) search page for content
+const SEARCH_PATH = '/search/node';
+const INDEX_URL = '/search-index.json';
+
+const BLOCK_FORM_SELECTOR = 'form#search-block-form, form.search-block-form, form[data-drupal-selector="search-block-form"]';
+const PAGE_FORM_SELECTOR = 'form#search-form, form.search-form';
+
+// Server-side results and help text of the crawled search page
+const SERVER_RESULTS_SELECTOR = '.search-results, ol.search-results, .search-help';
+
+// Where the page's own content is, most specific first
+const CONTENT_SELECTORS = ['main', '[role="main"]', '#main-content', '#content', 'article'];
+
+// Optional language prefix, then /search or /search/node
+const SEARCH_PAGE_PATH = /^(?:\/[a-z]{2}(?:-[a-z]{2,4})?)?\/search(?:\/node)?\/?$/;
+
+const MAX_RESULTS = 50;
+
+/**
+ * Runs in the browser, serialized into the search page; it may only use its
+ * argument and browser globals. Every keyword must match a word of the page
+ * (as a whole word or its start); title matches weigh more than taxonomy
+ * terms, which weigh more than body text.
+ */
+function runStaticSearch(root, maxResults) {
+  var form = root.querySelector('form');
+  var input = form.querySelector('input[name="keys"]');
+  var list = root.querySelector('.static-search__results');
+  var status = document.createElement('p');
+  status.className = 'static-search__status';
+  status.setAttribute('role', 'status');
+  form.parentNode.insertBefore(status, form.nextSibling);
+
+  var documents = null;
+  var FIELDS = [['title', 10], ['terms', 5], ['body', 1]];
+
+  function tokenize(text) {
+    return String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+      .split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  }
+
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  function load() {
+    if (documents) return Promise.resolve(documents);
+    return fetch(root.getAttribute('data-index'))
+      .then(function (response) {
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        return response.json();
+      })
+      .then(function (index) {
+        documents = index.documents.map(function (doc) {
+          return {
+            doc: doc,
+            title: tokenize(doc.title),
+            terms: tokenize(doc.terms.join(' ')),
+            body: tokenize(doc.body),
+          };
+        });
+        return documents;
+      });
+  }
+
+  function score(entry, keywords) {
+    var total = 0;
+    for (var i = 0; i < keywords.length; i++) {
+      var keywordScore = 0;
+      for (var f = 0; f < FIELDS.length; f++) {
+        var tokens = entry[FIELDS[f][0]];
+        for (var t = 0; t < tokens.length; t++) {
+          if (tokens[t] === keywords[i]) keywordScore += FIELDS[f][1];
+          else if (tokens[t].indexOf(keywords[i]) === 0) keywordScore += FIELDS[f][1] / 2;
+        }
+      }
+      if (keywordScore === 0) return 0;
+      total += keywordScore;
+    }
+    return total;
+  }
+
+  // Text around the first keyword, with the keywords in <mark>
+  function snippet(body, words) {
+    var pattern = new RegExp('(' + words.map(escapeRegExp).join('|') + ')', 'iu');
+    var found = body.search(pattern);
+    var start = Math.max(0, found - 60);
+    var text = (start > 0 ? '… ' : '') + body.slice(start, start + 200) + (body.length > start + 200 ? ' …' : '');
+    var p = document.createElement('p');
+    p.className = 'search-result__snippet';
+    text.split(new RegExp('(' + words.map(escapeRegExp).join('|') + ')', 'giu')).forEach(function (part, i) {
+      if (i % 2 === 1) {
+        var mark = document.createElement('mark');
+        mark.textContent = part;
+        p.appendChild(mark);
+      } else {
+        p.appendChild(document.createTextNode(part));
+      }
+    });
+    return p;
+  }
+
+  function show(keys) {
+    var keywords = tokenize(keys);
+    list.textContent = '';
+    if (keywords.length === 0) {
+      status.textContent = '';
+      return;
+    }
+    status.textContent = 'Searching…';
+    load().then(function (entries) {
+      var results = entries
+        .map(function (entry) { return { doc: entry.doc, score: score(entry, keywords) }; })
+        .filter(function (result) { return result.score > 0; })
+        .sort(function (a, b) { return b.score - a.score; });
+
+      status.textContent = results.length === 0
+        ? 'Your search for “' + keys + '” yielded no results.'
+        : results.length + (results.length === 1 ? ' result' : ' results') + ' for “' + keys + '”';
+
+      var words = keys.split(/\s+/).filter(Boolean);
+      results.slice(0, maxResults).forEach(function (result) {
+        var item = document.createElement('li');
+        item.className = 'search-result';
+        var heading = document.createElement('h3');
+        heading.className = 'search-result__title';
+        var link = document.createElement('a');
+        link.href = result.doc.url;
+        link.textContent = result.doc.title || result.doc.url;
+        heading.appendChild(link);
+        item.appendChild(heading);
+        if (result.doc.body) item.appendChild(snippet(result.doc.body, words));
+        list.appendChild(item);
+      });
+    }).catch(function (error) {
+      status.textContent = 'Search is unavailable: the search index could not be loaded (' + error.message + ').';
+    });
+  }
+
+  form.addEventListener('submit', function (event) {
+    event.preventDefault();
+    var keys = input.value.trim();
+    history.replaceState(null, '', keys ? '?keys=' + encodeURIComponent(keys) : location.pathname);
+    show(keys);
+  });
+
+  var initial = new URLSearchParams(location.search).get('keys') || '';
+  input.value = initial;
+  show(initial.trim());
+}
+
+class StaticSearch {
+  static get SEARCH_PATH() {
+    return SEARCH_PATH;
+  }
+
+  static isSearchPage(url) {
+    try {
+      return SEARCH_PAGE_PATH.test(new URL(url).pathname.toLowerCase());
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Main content element of a page, <body> if there is none
+  static findContent($) {
+    const selector = CONTENT_SELECTORS.find((candidate) => $(candidate).length > 0);
+    return $(selector || 'body').first();
+  }
+
+  /**
+   * Point search block forms at the static search page: a plain GET with the
+   * keywords as ?keys=, without Drupal's form tokens. Returns the number of
+   * forms rewritten.
+   */
+  static rewriteBlockForms($) {
+    let rewritten = 0;
+    $(BLOCK_FORM_SELECTOR).each((_, form) => {
+      const $form = $(form);
+      $form.attr('action', SEARCH_PATH).attr('method', 'get');
+      $form.find('input[type="hidden"]').remove();
+      // Drupal 7 names the field search_block_form
+      $form.find('input[type="search"], input[type="text"]').first().attr('name', 'keys');
+      rewritten++;
+    });
+    return rewritten;
+  }
+
+  /**
+   * Search form, result list and the inline script that fills it.
+   */
+  static getSearchMarkup() {
+    return `<div class="static-search" data-index="${INDEX_URL}">
+  <form class="static-search__form" action="${SEARCH_PATH}" method="get" role="search">
+    <label for="static-search-keys">Enter your keywords</label>
+    <input type="search" id="static-search-keys" name="keys" size="30" maxlength="255">
+    <button type="submit">Search</button>
+  </form>
+  <ol class="static-search__results search-results"></ol>
+</div>
+<script>(${runStaticSearch.toString()})(document.querySelector('.static-search'), ${MAX_RESULTS});</script>`;
+  }
+
+  /**
+   * Swap the crawled search page's form and server-side results for the
+   * static search. Returns 1 if the page was changed.
+   */
+  static replaceSearchPage($) {
+    if ($('.static-search').length > 0) return 0;
+
+    $(SERVER_RESULTS_SELECTOR).remove();
+    const $form = $(PAGE_FORM_SELECTOR).first();
+    if ($form.length > 0) {
+      $form.replaceWith(StaticSearch.getSearchMarkup());
+    } else {
+      StaticSearch.findContent($).append(StaticSearch.getSearchMarkup());
+    }
+    return 1;
+  }
+
+  /**
+   * A search page for sites whose own was not crawled (Drupal's robots.txt
+   * disallows /search/): the content of templateHtml, usually the saved home
+   * page, replaced by the static search.
+   */
+  static createSearchPage(templateHtml = '') {
+    const $ = cheerio.load(templateHtml || '<!DOCTYPE html><html lang="en"><head><meta charset="UTF-8"></head><body></body></html>');
+    $('link[rel="canonical"], link[rel="shortlink"], meta[name="description"], meta[property^="og:"]').remove();
+
+    if ($('title').length === 0) $('head').append('<title></title>');
+    $('title').text('Search');
+
+    StaticSearch.findContent($).html(`<h1>Search</h1>\n${StaticSearch.getSearchMarkup()}`);
+    return $.html();
+  }
+}
+
+module.exports = StaticSearch;
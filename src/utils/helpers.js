@@ -22,4 +22,75 @@ function formatBytes(bytes) {
   return `${size.toFixed(2)} ${units[i]}`;
 }
 
-module.exports = { sleep, formatDuration, formatBytes };
+/**
+ * Size string -> bytes: "500MB", "10G", "1.5 GiB", "2048" (plain bytes).
+ * Units are binary (1K = 1024), matching formatBytes. NaN when unparseable.
+ */
+function parseSize(value) {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*([KMGT]?)(?:i?B)?\s*$/i.exec(String(value || ''));
+  if (!match) return NaN;
+  const exponent = ['', 'K', 'M', 'G', 'T'].indexOf(match[2].toUpperCase());
+  return Math.round(parseFloat(match[1]) * 1024 ** exponent);
+}
+
+/**
+ * Content-Disposition header -> { type, filename }; null when absent.
+ * filename* (RFC 5987, e.g. UTF-8''r%C3%A9sum%C3%A9.pdf) wins over filename.
+ * The filename is reduced to its base name.
+ */
+function parseContentDisposition(header) {
+  if (!header) return null;
+
+  const value = String(header);
+  const type = value.split(';')[0].trim().toLowerCase() || 'attachment';
+  let filename = null;
+  let extendedFilename = null;
+
+  const paramPattern = /;\s*(filename\*?)\s*=\s*("(?:[^"\\]|\\.)*"|[^;]*)/gi;
+  let match;
+  while ((match = paramPattern.exec(value)) !== null) {
+    let paramValue = match[2].trim();
+    if (match[1].toLowerCase() === 'filename*') {
+      const encoded = paramValue.replace(/^[^']*'[^']*'/, '');
+      try {
+        extendedFilename = decodeURIComponent(encoded);
+      } catch (error) {
+        // malformed percent-encoding; fall back to the plain filename
+      }
+    } else {
+      if (paramValue.startsWith('"')) {
+        paramValue = paramValue.slice(1, -1).replace(/\\(.)/g, '$1');
+      }
+      filename = paramValue;
+    }
+  }
+
+  const name = (extendedFilename || filename || '').split(/[\\/]/).pop();
+  return { type, filename: name || null };
+}
+
+/**
+ * Build a Content-Disposition header value. Non-ASCII filenames get an ASCII
+ * fallback plus a filename* parameter.
+ */
+function formatContentDisposition(type, filename) {
+  if (!filename) return type;
+
+  const fallback = filename.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '\\$&');
+  let header = `${type}; filename="${fallback}"`;
+  if (/[^\x20-\x7e]/.test(filename)) {
+    const encoded = encodeURIComponent(filename)
+      .replace(/['()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    header += `; filename*=UTF-8''${encoded}`;
+  }
+  return header;
+}
+
+module.exports = {
+  sleep,
+  formatDuration,
+  formatBytes,
+  parseSize,
+  parseContentDisposition,
+  formatContentDisposition,
+};
@@ -0,0 +1,64 @@
+/**
+ * Report serialization helpers shared by crawl and verify reports
+ */
+
+function escapeXml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    // Characters XML 1.0 cannot represent at all
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * JUnit XML as understood by common CI dashboards.
+ *
+ * @param {string} name Name of the <testsuites> root
+ * @param {object[]} suites [{ name, cases: [{ name, classname, time, failure, skipped }] }]
+ *   time is in seconds; failure is { message, details } and skipped a reason string.
+ */
+function toJUnitXml(name, suites) {
+  const count = (suite, predicate) => suite.cases.filter(predicate).length;
+  const totals = suites.reduce((sum, suite) => ({
+    tests: sum.tests + suite.cases.length,
+    failures: sum.failures + count(suite, (testCase) => testCase.failure),
+  }), { tests: 0, failures: 0 });
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(name)}" tests="${totals.tests}" failures="${totals.failures}">`,
+  ];
+
+  for (const suite of suites) {
+    lines.push(`  <testsuite name="${escapeXml(suite.name)}" tests="${suite.cases.length}" `
+      + `failures="${count(suite, (testCase) => testCase.failure)}" `
+      + `skipped="${count(suite, (testCase) => testCase.skipped)}">`);
+
+    for (const testCase of suite.cases) {
+      const attributes = `name="${escapeXml(testCase.name)}" classname="${escapeXml(testCase.classname)}"`
+        + (testCase.time !== null && testCase.time !== undefined ? ` time="${testCase.time}"` : '');
+
+      if (testCase.failure) {
+        lines.push(`    <testcase ${attributes}>`);
+        lines.push(`      <failure message="${escapeXml(testCase.failure.message)}">${escapeXml(testCase.failure.details || '')}</failure>`);
+        lines.push('    </testcase>');
+      } else if (testCase.skipped) {
+        lines.push(`    <testcase ${attributes}>`);
+        lines.push(`      <skipped message="${escapeXml(testCase.skipped)}"/>`);
+        lines.push('    </testcase>');
+      } else {
+        lines.push(`    <testcase ${attributes}/>`);
+      }
+    }
+
+    lines.push('  </testsuite>');
+  }
+
+  lines.push('</testsuites>', '');
+  return lines.join('\n');
+}
+
+module.exports = { escapeXml, toJUnitXml };
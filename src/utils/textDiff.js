@@ -0,0 +1,117 @@
+/**
+ * Line-based text diff (Myers' algorithm) and unified diff formatting
+ */
+
+/**
+ * Shortest edit script between two arrays of lines.
+ * @param {string[]} a
+ * @param {string[]} b
+ * @param {object} [options]
+ * @param {number} [options.maxEdits] Give up (return null) beyond this many added/removed lines
+ * @returns {object[]|null} [{ type: 'equal'|'remove'|'add', line }] in order
+ */
+function diffLines(a, b, { maxEdits = Infinity } = {}) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  // Forward pass: furthest reaching path on every diagonal k for each edit count d
+  let found = max === 0;
+  for (let d = 0; d <= max && !found; d++) {
+    if (d > maxEdits) return null;
+    // Only diagonals -d-1..d+1 are read when backtracking from step d
+    trace.push({ start: offset - d - 1, values: v.slice(offset - d - 1, offset + d + 2) });
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  // Backtrack through the saved frontiers to recover the edits
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0 && (x > 0 || y > 0); d--) {
+    const { start, values } = trace[d];
+    const frontier = (diagonal) => values[offset + diagonal - start];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && frontier(k - 1) < frontier(k + 1))) ? k + 1 : k - 1;
+    const prevX = d === 0 ? 0 : frontier(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', line: a[--x] });
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) ops.push({ type: 'add', line: b[--y] });
+      else ops.push({ type: 'remove', line: a[--x] });
+    }
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * Format an edit script as a unified diff with `context` lines around each change.
+ * Returns an empty string when nothing changed.
+ */
+function formatUnifiedDiff(ops, { fromLabel = 'a', toLabel = 'b', context = 3 } = {}) {
+  const changed = ops.map((op, index) => (op.type !== 'equal' ? index : -1)).filter((index) => index !== -1);
+  if (changed.length === 0) return '';
+
+  // Group changes whose context windows touch into hunks
+  const hunks = [];
+  for (const index of changed) {
+    const last = hunks[hunks.length - 1];
+    if (last && index - last.end <= context * 2) {
+      last.end = index;
+    } else {
+      hunks.push({ start: index, end: index });
+    }
+  }
+
+  // 1-based line numbers in a and b before each op
+  const positions = [];
+  let aLine = 1;
+  let bLine = 1;
+  for (const op of ops) {
+    positions.push({ aLine, bLine });
+    if (op.type !== 'add') aLine++;
+    if (op.type !== 'remove') bLine++;
+  }
+
+  const lines = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+  const prefix = { equal: ' ', remove: '-', add: '+' };
+  for (const hunk of hunks) {
+    const start = Math.max(0, hunk.start - context);
+    const end = Math.min(ops.length - 1, hunk.end + context);
+    const slice = ops.slice(start, end + 1);
+    const aCount = slice.filter((op) => op.type !== 'add').length;
+    const bCount = slice.filter((op) => op.type !== 'remove').length;
+    // An empty range is numbered from the line before it, as in diff -u
+    const aStart = aCount === 0 ? positions[start].aLine - 1 : positions[start].aLine;
+    const bStart = bCount === 0 ? positions[start].bLine - 1 : positions[start].bLine;
+
+    lines.push(`@@ -${aStart},${aCount} +${bStart},${bCount} @@`);
+    slice.forEach((op) => lines.push(`${prefix[op.type]}${op.line}`));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports = { diffLines, formatUnifiedDiff };
@@ -0,0 +1,276 @@
+/**
+ * Link Checker
+ * Resolves every reference in a snapshot's HTML and CSS the way the generated
+ * nginx.conf would serve it, and reports targets that would not be found
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const cheerio = require('cheerio');
+const CssUtils = require('../processor/cssUtils');
+const FileManager = require('../crawler/fileManager');
+
+// Placeholder origin for resolving snapshot-relative URLs
+const BASE_ORIGIN = 'http://snapshot.invalid';
+const MAX_REDIRECTS = 10;
+
+// Embedded resources that must exist for the page to render: [selector, attribute]
+const ASSET_ATTRIBUTES = [
+  ['img[src]', 'src'],
+  ['script[src]', 'src'],
+  ['iframe[src]', 'src'],
+  ['frame[src]', 'src'],
+  ['embed[src]', 'src'],
+  ['video[src]', 'src'],
+  ['video[poster]', 'poster'],
+  ['audio[src]', 'src'],
+  ['source[src]', 'src'],
+  ['track[src]', 'src'],
+  ['input[type=image][src]', 'src'],
+  ['object[data]', 'data'],
+  ['link[rel~=icon][href]', 'href'],
+  ['link[rel~=preload][href]', 'href'],
+  ['link[rel~=manifest][href]', 'href'],
+];
+
+class LinkChecker {
+  /**
+   * @param {string} snapshotRoot Absolute path of the snapshot directory
+   */
+  constructor(snapshotRoot) {
+    this.snapshotRoot = snapshotRoot;
+    // Exact-match redirects from _redirects: path -> target (as nginx-redirects.conf applies them)
+    this.redirects = LinkChecker.readRedirects(snapshotRoot);
+    this.statCache = new Map();
+    this.anchorCache = new Map();
+  }
+
+  static readRedirects(snapshotRoot) {
+    const redirects = new Map();
+    const file = path.join(snapshotRoot, '_redirects');
+    if (!fs.existsSync(file)) return redirects;
+
+    fs.readFileSync(file, 'utf-8').split(/\r?\n/).forEach((line) => {
+      const [from, to] = line.trim().split(/\s+/);
+      if (from && to && !from.startsWith('#')) redirects.set(from, to);
+    });
+    return redirects;
+  }
+
+  /**
+   * Resolve href as found in the document served at baseUrl.
+   * @returns {object|null} null for references outside the snapshot (other hosts,
+   *   mailto:, data: ...); otherwise { pathname, fragment, file } where file is
+   *   the absolute path nginx would serve, or null when it would answer 404
+   */
+  resolve(href, baseUrl) {
+    const trimmed = (href || '').trim();
+    if (!trimmed) return null;
+
+    let url;
+    try {
+      url = new URL(trimmed, BASE_ORIGIN + baseUrl);
+    } catch (error) {
+      return { pathname: trimmed, fragment: '', file: null };
+    }
+    if (url.origin !== BASE_ORIGIN) return null;
+
+    const pathname = url.pathname;
+    const fragment = url.hash ? url.hash.slice(1) : '';
+
+    // Exact-match redirects run before try_files; ones leaving the snapshot are assumed to work
+    for (let hops = 0; this.redirects.has(url.pathname); hops++) {
+      if (hops === MAX_REDIRECTS) return { pathname, fragment, file: null };
+      try {
+        url = new URL(this.redirects.get(url.pathname), url);
+      } catch (error) {
+        return { pathname, fragment, file: null };
+      }
+      if (url.origin !== BASE_ORIGIN) return null;
+    }
+
+    return { pathname, fragment, file: this.tryFiles(url.pathname) };
+  }
+
+  /**
+   * Emulate the generated nginx.conf for a request path: hidden and non-site
+   * files are denied, then try_files $uri $uri/ $uri/index.html =404.
+   */
+  tryFiles(pathname) {
+    // nginx matches locations against the decoded, normalized path
+    let decoded;
+    try {
+      decoded = decodeURIComponent(pathname);
+    } catch (error) {
+      return null;
+    }
+    const segments = decoded.split('/').filter(Boolean);
+    if (segments.some((segment) => segment.startsWith('.') && segment !== '.well-known')) return null;
+    if (segments.length === 1 && FileManager.NON_SITE_FILES.includes(segments[0])) return null;
+
+    const filePath = path.join(this.snapshotRoot, ...segments);
+    if (!filePath.startsWith(this.snapshotRoot)) return null;
+
+    if (this.stat(filePath) === 'file') return filePath;
+    const indexPath = path.join(filePath, 'index.html');
+    if (this.stat(indexPath) === 'file') return indexPath;
+    return null;
+  }
+
+  stat(filePath) {
+    if (!this.statCache.has(filePath)) {
+      let type = null;
+      try {
+        const stats = fs.statSync(filePath);
+        type = stats.isDirectory() ? 'directory' : 'file';
+      } catch (error) {
+        type = null;
+      }
+      this.statCache.set(filePath, type);
+    }
+    return this.statCache.get(filePath);
+  }
+
+  /**
+   * ids and <a name> targets of an HTML file; null for files that aren't HTML.
+   */
+  getAnchors(file) {
+    if (!file.endsWith('.html')) return null;
+    if (!this.anchorCache.has(file)) {
+      const anchors = new Set();
+      try {
+        const $ = cheerio.load(fs.readFileSync(file, 'utf-8'));
+        $('[id]').each((_, elem) => anchors.add($(elem).attr('id')));
+        $('a[name]').each((_, elem) => anchors.add($(elem).attr('name')));
+      } catch (error) {
+        // Unreadable targets are reported by their own check
+      }
+      this.anchorCache.set(file, anchors);
+    }
+    return this.anchorCache.get(file);
+  }
+
+  /**
+   * Check one reference; returns an issue (without file) or null.
+   * Fragments are only checked for links, not for embedded resources.
+   */
+  checkReference(type, href, baseUrl, line) {
+    const resolved = this.resolve(href, baseUrl);
+    if (!resolved) return null;
+
+    if (!resolved.file) {
+      return { type, line, href, target: resolved.pathname };
+    }
+
+    if (type === 'broken-link' && resolved.fragment && resolved.fragment !== 'top') {
+      const anchors = this.getAnchors(resolved.file);
+      let fragment = resolved.fragment;
+      try {
+        fragment = decodeURIComponent(fragment);
+      } catch (error) {
+        // Keep the raw fragment
+      }
+      if (anchors && !anchors.has(fragment)) {
+        return { type: 'missing-anchor', line, href, target: `${resolved.pathname}#${fragment}` };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Every broken reference in an HTML file.
+   * @param {string} html
+   * @param {string} relativeFile Path of the file inside the snapshot
+   * @returns {object[]} [{ type, line, href, target }]
+   */
+  checkHtml(html, relativeFile) {
+    const $ = cheerio.load(html, { sourceCodeLocationInfo: true });
+    const baseUrl = FileManager.getPageUrlPath(relativeFile);
+    const issues = [];
+    const lineOf = (elem) => (elem.sourceCodeLocation ? elem.sourceCodeLocation.startLine : null);
+    const check = (type, elem, href) => {
+      const issue = this.checkReference(type, href, baseUrl, lineOf(elem));
+      if (issue) issues.push(issue);
+    };
+
+    $('a[href], area[href]').each((_, elem) => {
+      const href = $(elem).attr('href');
+      // Bare "#" is a script hook, not a fragment link
+      if (href && href.trim() !== '#') check('broken-link', elem, href);
+    });
+
+    // Redirect stubs and other meta refreshes
+    $('meta[http-equiv]').each((_, elem) => {
+      if ($(elem).attr('http-equiv').toLowerCase() !== 'refresh') return;
+      const match = /url\s*=\s*['"]?([^'"]+)/i.exec($(elem).attr('content') || '');
+      if (match) check('broken-link', elem, match[1]);
+    });
+
+    $('link[rel~=stylesheet][href]').each((_, elem) => {
+      check('missing-stylesheet', elem, $(elem).attr('href'));
+    });
+
+    ASSET_ATTRIBUTES.forEach(([selector, attribute]) => {
+      $(selector).each((_, elem) => check('missing-asset', elem, $(elem).attr(attribute)));
+    });
+
+    $('[srcset]').each((_, elem) => {
+      LinkChecker.parseSrcset($(elem).attr('srcset')).forEach((src) => check('missing-asset', elem, src));
+    });
+
+    $('style').each((_, elem) => {
+      const startLine = lineOf(elem) || 1;
+      CssUtils.findUrls($(elem).html()).forEach(({ ref, line }) => {
+        const issue = this.checkReference('missing-asset', ref, baseUrl, startLine + line - 1);
+        if (issue) issues.push(issue);
+      });
+    });
+
+    $('[style]').each((_, elem) => {
+      CssUtils.findUrls($(elem).attr('style')).forEach(({ ref }) => check('missing-asset', elem, ref));
+    });
+
+    return issues;
+  }
+
+  /**
+   * Every missing url()/@import target in a CSS file, resolved against the
+   * stylesheet's own URL.
+   */
+  checkCss(css, relativeFile) {
+    const baseUrl = '/' + relativeFile.split(path.sep).join('/');
+    return CssUtils.findUrls(css)
+      .map(({ ref, line }) => this.checkReference('missing-asset', ref, baseUrl, line))
+      .filter(Boolean);
+  }
+
+  /**
+   * URLs of a srcset attribute, without their width/density descriptors.
+   * A URL runs up to the next whitespace (so data: URIs keep their commas);
+   * its descriptors run up to the next comma.
+   */
+  static parseSrcset(srcset) {
+    const urls = [];
+    const source = srcset || '';
+    let position = 0;
+
+    while (position < source.length) {
+      const rest = source.slice(position);
+      const leading = /^[\s,]*/.exec(rest)[0].length;
+      const token = /^\S*/.exec(rest.slice(leading))[0];
+      if (!token) break;
+      position += leading + token.length;
+
+      const url = token.replace(/,+$/, '');
+      if (url && !/^data:/i.test(url)) urls.push(url);
+      // A trailing comma ends the candidate; otherwise skip its descriptors
+      if (url === token) {
+        const next = source.indexOf(',', position);
+        position = next === -1 ? source.length : next + 1;
+      }
+    }
+    return urls;
+  }
+}
+
+module.exports = LinkChecker;
@@ -0,0 +1,86 @@
+/**
+ * Verify Mode Configuration
+ * Snapshot selection, report formats and pass/fail thresholds from environment variables
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const UrlFilter = require('../crawler/urlFilter');
+
+class VerifyConfig {
+  constructor(env = process.env) {
+    this.outputDir = env.OUTPUT_DIR || '/output';
+    // Snapshot name, 'latest' (the symlink target) or empty for the newest snapshot
+    this.snapshot = env.VERIFY_SNAPSHOT || '';
+
+    // Full reports of every issue, written to reportDir as verify-<snapshot>.<ext>
+    this.reportDir = env.VERIFY_REPORT_DIR || path.join(this.outputDir, 'reports');
+    this.reportFormats = (env.VERIFY_REPORT_FORMATS || 'json')
+      .split(/[\s,]+/).filter(Boolean).map((format) => format.toLowerCase());
+
+    // Issues tolerated before verify fails; known-bad hrefs on the allow-list never count
+    this.maxBrokenLinks = parseInt(env.VERIFY_MAX_BROKEN_LINKS || '0', 10);
+    this.maxMissingAssets = parseInt(env.VERIFY_MAX_MISSING_ASSETS || '0', 10);
+    this.allowList = [
+      ...UrlFilter.parseList(env.VERIFY_ALLOW_LIST),
+      ...VerifyConfig.readAllowListFile(env.VERIFY_ALLOW_LIST_FILE),
+    ];
+
+    this.validate();
+    this.allowPatterns = this.allowList.map((pattern) => UrlFilter.compile(pattern));
+  }
+
+  static get REPORT_FORMATS() {
+    return ['json', 'junit', 'sarif'];
+  }
+
+  // One pattern per line; blank lines and # comments are ignored
+  static readAllowListFile(file) {
+    if (!file) return [];
+    return fs.readFileSync(file, 'utf-8')
+      .split(/\r?\n/)
+      .map((line) => line.replace(/(^|\s)#.*$/, '').trim())
+      .filter(Boolean);
+  }
+
+  validate() {
+    for (const format of this.reportFormats) {
+      if (!VerifyConfig.REPORT_FORMATS.includes(format)) {
+        throw new Error(`Invalid VERIFY_REPORT_FORMATS entry: ${format} (expected ${VerifyConfig.REPORT_FORMATS.join(', ')})`);
+      }
+    }
+    if (!(this.maxBrokenLinks >= 0)) throw new Error('VERIFY_MAX_BROKEN_LINKS must be >= 0');
+    if (!(this.maxMissingAssets >= 0)) throw new Error('VERIFY_MAX_MISSING_ASSETS must be >= 0');
+    for (const pattern of this.allowList) {
+      try {
+        UrlFilter.compile(pattern);
+      } catch (error) {
+        throw new Error(`Invalid pattern in VERIFY_ALLOW_LIST: ${pattern} (${error.message})`);
+      }
+    }
+  }
+
+  /**
+   * The allow-list pattern matching href (as written in the page, or without
+   * its query string/fragment), or null.
+   */
+  findAllowRule(href) {
+    const bare = href.split('#')[0].split('?')[0];
+    const match = this.allowPatterns.find((pattern) => pattern.regex.test(href) || pattern.regex.test(bare));
+    return match ? match.source : null;
+  }
+
+  toString() {
+    return `VerifyConfig {
+  outputDir: ${this.outputDir}
+  snapshot: ${this.snapshot || 'newest'}
+  reportDir: ${this.reportDir}
+  reportFormats: ${this.reportFormats.join(', ') || 'none'}
+  maxBrokenLinks: ${this.maxBrokenLinks}
+  maxMissingAssets: ${this.maxMissingAssets}
+  allowList: ${this.allowList.length} patterns
+}`;
+  }
+}
+
+module.exports = VerifyConfig;
@@ -0,0 +1,232 @@
+/**
+ * Verify Report
+ * Collects every issue found in a snapshot, applies the allow-list and
+ * thresholds, and serializes the result as JSON, JUnit XML or SARIF
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { toJUnitXml } = require('../utils/reportFormats');
+
+// Issue type -> threshold it counts against; types not listed always fail verification
+const THRESHOLDS = {
+  'broken-link': { name: 'brokenLinks', env: 'VERIFY_MAX_BROKEN_LINKS', configKey: 'maxBrokenLinks' },
+  'missing-anchor': { name: 'brokenLinks', env: 'VERIFY_MAX_BROKEN_LINKS', configKey: 'maxBrokenLinks' },
+  'missing-asset': { name: 'missingAssets', env: 'VERIFY_MAX_MISSING_ASSETS', configKey: 'maxMissingAssets' },
+  'missing-stylesheet': { name: 'missingAssets', env: 'VERIFY_MAX_MISSING_ASSETS', configKey: 'maxMissingAssets' },
+};
+
+const DESCRIPTIONS = {
+  'broken-link': 'Link target does not exist in the snapshot',
+  'missing-anchor': 'Link fragment has no matching id or <a name> on the target page',
+  'missing-asset': 'Referenced asset does not exist in the snapshot',
+  'missing-stylesheet': 'Stylesheet does not exist in the snapshot',
+  'missing-index': 'Snapshot has no index.html',
+};
+
+class VerifyReport {
+  /**
+   * @param {object} options
+   * @param {object} options.snapshot { name, path } of the verified snapshot
+   * @param {VerifyConfig} options.config
+   */
+  constructor({ snapshot, config }) {
+    this.snapshot = snapshot;
+    this.config = config;
+    // { type, file, line, href, target, allowedBy }
+    this.issues = [];
+    this.warnings = [];
+    this.checkedFiles = [];
+  }
+
+  addIssue(issue) {
+    const allowedBy = issue.href ? this.config.findAllowRule(issue.href) : null;
+    this.issues.push({ file: null, line: null, href: null, target: null, ...issue, allowedBy });
+  }
+
+  addWarning(warning) {
+    this.warnings.push(warning);
+  }
+
+  addCheckedFile(file) {
+    this.checkedFiles.push(file);
+  }
+
+  getCountedIssues() {
+    return this.issues.filter((issue) => !issue.allowedBy);
+  }
+
+  /**
+   * Apply the thresholds.
+   * @returns {{ passed: boolean, thresholds: object[], fatal: object[] }}
+   *   thresholds: [{ name, env, count, max, exceeded }]; fatal: counted issues no threshold covers
+   */
+  evaluate() {
+    const counted = this.getCountedIssues();
+    const thresholds = new Map();
+
+    Object.values(THRESHOLDS).forEach(({ name, env, configKey }) => {
+      if (!thresholds.has(name)) {
+        thresholds.set(name, { name, env, count: 0, max: this.config[configKey], exceeded: false });
+      }
+    });
+
+    const fatal = [];
+    counted.forEach((issue) => {
+      const threshold = THRESHOLDS[issue.type];
+      if (threshold) {
+        thresholds.get(threshold.name).count++;
+      } else {
+        fatal.push(issue);
+      }
+    });
+    thresholds.forEach((threshold) => {
+      threshold.exceeded = threshold.count > threshold.max;
+    });
+
+    const results = Array.from(thresholds.values());
+    return {
+      passed: fatal.length === 0 && !results.some((threshold) => threshold.exceeded),
+      thresholds: results,
+      fatal,
+    };
+  }
+
+  // Issues grouped by type, in order of first appearance
+  groupByType(issues = this.issues) {
+    const grouped = {};
+    issues.forEach((issue) => {
+      if (!grouped[issue.type]) grouped[issue.type] = [];
+      grouped[issue.type].push(issue);
+    });
+    return grouped;
+  }
+
+  toJSON() {
+    const result = this.evaluate();
+    return {
+      snapshot: this.snapshot.name,
+      generatedAt: new Date().toISOString(),
+      passed: result.passed,
+      filesChecked: this.checkedFiles.length,
+      summary: Object.fromEntries(Object.entries(this.groupByType()).map(([type, issues]) => [type, {
+        total: issues.length,
+        allowed: issues.filter((issue) => issue.allowedBy).length,
+      }])),
+      thresholds: result.thresholds,
+      issues: this.issues,
+      warnings: this.warnings,
+    };
+  }
+
+  /**
+   * One test case per checked HTML or CSS file (failing when it has counted issues)
+   * and one per threshold.
+   */
+  toJUnit() {
+    const result = this.evaluate();
+    const byFile = new Map(this.checkedFiles.map((file) => [file, []]));
+    const snapshotIssues = [];
+    this.getCountedIssues().forEach((issue) => {
+      if (issue.file && byFile.has(issue.file)) {
+        byFile.get(issue.file).push(issue);
+      } else {
+        snapshotIssues.push(issue);
+      }
+    });
+
+    const describe = (issue) => `${issue.type}: ${issue.href || issue.message || ''}${issue.line ? ` (line ${issue.line})` : ''}`;
+    const fileCases = Array.from(byFile, ([file, issues]) => ({
+      name: file,
+      classname: 'verify.files',
+      failure: issues.length > 0 ? {
+        message: `${issues.length} issue(s)`,
+        details: issues.map(describe).join('\n'),
+      } : null,
+    }));
+    snapshotIssues.forEach((issue) => fileCases.push({
+      name: issue.type,
+      classname: 'verify.snapshot',
+      failure: { message: issue.message || issue.type, details: describe(issue) },
+    }));
+
+    const thresholdCases = result.thresholds.map((threshold) => ({
+      name: `${threshold.env}=${threshold.max}`,
+      classname: 'verify.thresholds',
+      failure: threshold.exceeded ? {
+        message: `${threshold.count} ${threshold.name}, at most ${threshold.max} allowed`,
+        details: '',
+      } : null,
+    }));
+
+    return toJUnitXml(`verify ${this.snapshot.name}`, [
+      { name: 'files', cases: fileCases },
+      { name: 'thresholds', cases: thresholdCases },
+    ]);
+  }
+
+  /**
+   * SARIF 2.1.0, for code-scanning dashboards. Allow-listed issues are
+   * included as suppressed results.
+   */
+  toSarif() {
+    const types = Array.from(new Set(this.issues.map((issue) => issue.type)));
+    return {
+      $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+      version: '2.1.0',
+      runs: [{
+        tool: {
+          driver: {
+            name: 'drupal-to-static-html verify',
+            informationUri: 'https://github.com/esolitos/drupal-to-static-html',
+            rules: types.map((type) => ({
+              id: type,
+              shortDescription: { text: DESCRIPTIONS[type] || type },
+            })),
+          },
+        },
+        originalUriBaseIds: {
+          SNAPSHOT: { uri: `file://${this.snapshot.path.split(path.sep).join('/')}/` },
+        },
+        results: this.issues.map((issue) => {
+          const result = {
+            ruleId: issue.type,
+            level: 'error',
+            message: { text: issue.message || `${DESCRIPTIONS[issue.type] || issue.type}: ${issue.href}` },
+            locations: [{
+              physicalLocation: {
+                artifactLocation: { uri: issue.file || 'index.html', uriBaseId: 'SNAPSHOT' },
+                ...(issue.line ? { region: { startLine: issue.line } } : {}),
+              },
+            }],
+          };
+          if (issue.allowedBy) {
+            result.suppressions = [{ kind: 'external', justification: `Allow-listed by ${issue.allowedBy}` }];
+          }
+          return result;
+        }),
+      }],
+    };
+  }
+
+  /**
+   * Write the configured report formats; returns the written file paths.
+   */
+  save() {
+    const writers = {
+      json: ['json', () => JSON.stringify(this.toJSON(), null, 2)],
+      junit: ['xml', () => this.toJUnit()],
+      sarif: ['sarif', () => JSON.stringify(this.toSarif(), null, 2)],
+    };
+
+    fs.ensureDirSync(this.config.reportDir);
+    return this.config.reportFormats.map((format) => {
+      const [extension, serialize] = writers[format];
+      const file = path.join(this.config.reportDir, `verify-${this.snapshot.name}.${extension}`);
+      fs.writeFileSync(file, serialize(), 'utf-8');
+      return file;
+    });
+  }
+}
+
+module.exports = VerifyReport;